@@ -5,38 +5,160 @@ const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const crypto = require('crypto');
+
+const PORT = process.env.PORT || 3000;
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+// Comma-separated origins that may use the API and sockets from another site; "*" allows any.
+// Unset means same-origin only.
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+// Passed to Express as-is ("true", a hop count or a list of proxy addresses) so req.ip is the client behind it
+const TRUST_PROXY = process.env.TRUST_PROXY;
+// Comma-separated account ids that may open the operations dashboard
+const SERVER_ADMINS = (process.env.SERVER_ADMINS || '').split(',').map(id => parseInt(id)).filter(Number.isInteger);
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_LEVEL = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+// Structured logging: one JSON object per line, errors and warnings on stderr
+function log(level, message, fields = {}) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(LOG_LEVEL)) return;
+    
+    const entry = { time: new Date().toISOString(), level, message, ...fields };
+    if (fields.error instanceof Error) {
+        entry.error = fields.error.message;
+        entry.stack = fields.error.stack;
+    }
+    (level === 'error' || level === 'warn' ? process.stderr : process.stdout).write(JSON.stringify(entry) + '\n');
+}
+
+const logger = {
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields)
+};
+
+if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+    logger.error('JWT_SECRET must be set in production; refusing to start with the built-in fallback');
+    process.exit(1);
+}
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
     cors: {
-        origin: "*",
+        origin: (origin, callback) => callback(null, !origin || ALLOWED_ORIGINS.includes('*') || ALLOWED_ORIGINS.includes(origin)),
         methods: ["GET", "POST"]
-    }
+    },
+    // cors only covers polling requests; websocket upgrades are checked here
+    allowRequest: (req, callback) => callback(null, isOriginAllowed(req.headers.origin, req.headers.host))
 });
 
-const PORT = process.env.PORT || 3000;
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+const ACCOUNT_TOKEN_TTL = '7d';
+const GUEST_TOKEN_TTL = '12h';
+const RECONNECT_GRACE_PERIOD = parseInt(process.env.RECONNECT_GRACE_PERIOD) || 60; // seconds
+const CHAT_HISTORY_LIMIT = 50;
+const MAX_SPECTATORS = 20;
+const ROOM_ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I lookalikes
+const ROOM_ID_LENGTH = 6;
+const ROOM_VISIBILITIES = ['public', 'unlisted', 'private'];
+const LOBBY_CHANNEL = 'lobby';
+const RATING_DEFAULT = 1000;
+const RATING_K_FACTOR = 32;
+const LEADERBOARD_MAX_PAGE_SIZE = 100;
+const MATCH_HISTORY_MAX_PAGE_SIZE = 50;
+const ROOM_SNAPSHOT_DELAY = 1000; // ms
+const INVITE_TTL = 24 * 60 * 60; // seconds an invite link stays valid
+const INVITE_MAX_USES = 10; // joins per invite link
+const MAX_MUTE_DURATION = 3600; // seconds
+const CHAT_RATE_LIMIT = 5; // messages per CHAT_RATE_WINDOW
+const CHAT_RATE_WINDOW = 5000; // ms
+const CHAT_OFFENSE_WINDOW = 60000; // ms
+const CHAT_OFFENSES_BEFORE_MUTE = 3;
+const CHAT_AUTO_MUTE_DURATION = 120; // seconds
+const LOGIN_MAX_FAILURES = 5; // per IP or username before a lockout
+const LOGIN_LOCKOUT_BASE = 30; // seconds, doubled with every further lockout
+const LOGIN_LOCKOUT_MAX = 3600; // seconds
+const LOGIN_FAILURE_WINDOW = 15 * 60 * 1000; // ms without failures after which a key starts over
+const RESULTS_DURATION = 10; // seconds the results stay up before the room returns to waiting
+const TIMER_SYNC_INTERVAL = 5000; // ms
+const CHAT_METRIC_WINDOW = 60000; // ms the chat rate in /metrics is averaged over
+const ELIMINATION_MIN_PLAYERS = 2; // an elimination round ends once no more than this many are alive
+const DRAWING_CANVAS = { width: 800, height: 500 }; // logical units, clients scale to their screen
+const DRAWING_INK_BUDGET = 6000; // total stroke length a player may draw per turn
+const DRAWING_MAX_POINTS = 100; // per streamed stroke chunk
+const DRAWING_MAX_STROKES = 400; // lines per drawing, so single dots cannot flood the buffer
+const DRAWING_MAX_TOTAL_POINTS = 20000; // per drawing, bounds what is kept and resent in the canvas state
+const DRAWING_MAX_WIDTH = 20;
+const DRAWING_COLORS = ['#222222', '#e53935', '#fb8c00', '#fdd835', '#43a047', '#1e88e5', '#8e24aa', '#795548'];
+const BOT_NAMES = ['Anna', 'Bruno', 'Clara', 'Dieter', 'Emma', 'Felix', 'Greta', 'Hugo', 'Ida', 'Jonas', 'Karla', 'Lutz'];
+const BOT_DELAYS = { action: [1500, 4000], chat: [5000, 15000], skip: [3000, 8000] }; // ms ranges
+// Comma-separated words that are never allowed in chat
+const CHAT_BLOCKLIST = (process.env.CHAT_BLOCKLIST || '').split(',').map(word => word.trim()).filter(Boolean);
+
+if (TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
 
 // Middleware
 app.use(express.json());
-app.use(express.static(path.join(__dirname)));
 
-// Serve index.html from root
+// Same-origin requests carry no CORS headers; allowed foreign origins get them, preflights included
+app.use((req, res, next) => {
+    const origin = req.headers.origin;
+    if (!origin || !isOriginAllowed(origin, req.headers.host)) return next();
+    
+    res.set('Access-Control-Allow-Origin', origin);
+    res.set('Vary', 'Origin');
+    if (req.method === 'OPTIONS') {
+        res.set('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+        res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        return res.sendStatus(204);
+    }
+    next();
+});
+
+// REST errors and built-in libraries follow ?lang=, falling back to the Accept-Language header
+app.use((req, res, next) => {
+    req.locale = pickLocale(req.query.lang || req.headers['accept-language']);
+    next();
+});
+
+// Serve index.html from root. The client is this single file, so nothing else is served
+// statically: the working directory also holds the database.
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-// Database Setup - Using persistent file database
-const dbPath = process.env.NODE_ENV === 'production' ? ':memory:' : './game.db';
+// Invite links open the client, which joins the room once the user is logged in
+app.get('/join/:roomId', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// Database Setup - Using persistent file database (also in production, rooms are restored from it)
+const dbPath = process.env.DB_PATH || './game.db';
 const db = new sqlite3.Database(dbPath, (err) => {
     if (err) {
-        console.error('Database connection error:', err);
+        logger.error('Database connection error', { error: err });
     } else {
-        console.log('Connected to SQLite database');
+        logger.info('Connected to SQLite database', { path: dbPath });
     }
 });
 
+// One row per dealt player; bots and guests keep their name and role but have no user_id
+const MATCH_PLAYERS_TABLE = `CREATE TABLE IF NOT EXISTS match_players (
+    match_id INTEGER NOT NULL,
+    player_id TEXT NOT NULL,
+    user_id INTEGER,
+    username TEXT NOT NULL,
+    role TEXT NOT NULL,
+    voted_for TEXT,
+    won INTEGER NOT NULL,
+    PRIMARY KEY (match_id, player_id),
+    FOREIGN KEY (match_id) REFERENCES matches (id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+)`;
+
 // Initialize database tables
 db.serialize(() => {
     db.run(`CREATE TABLE IF NOT EXISTS users (
@@ -45,7 +167,7 @@ db.serialize(() => {
         password TEXT NOT NULL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )`, (err) => {
-        if (err) console.error('Error creating users table:', err);
+        if (err) logger.error('Error creating users table', { error: err });
     });
     
     db.run(`CREATE TABLE IF NOT EXISTS user_stats (
@@ -56,677 +178,5155 @@ db.serialize(() => {
         times_caught_imposter INTEGER DEFAULT 0,
         FOREIGN KEY (user_id) REFERENCES users (id)
     )`, (err) => {
-        if (err) console.error('Error creating user_stats table:', err);
+        if (err) logger.error('Error creating user_stats table', { error: err });
+    });
+    
+    db.run(`CREATE TABLE IF NOT EXISTS word_libraries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        owner_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT DEFAULT '',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (owner_id) REFERENCES users (id)
+    )`, (err) => {
+        if (err) logger.error('Error creating word_libraries table', { error: err });
+    });
+    
+    db.run(`CREATE TABLE IF NOT EXISTS library_words (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        library_id INTEGER NOT NULL,
+        difficulty TEXT NOT NULL,
+        word TEXT NOT NULL,
+        FOREIGN KEY (library_id) REFERENCES word_libraries (id)
+    )`, (err) => {
+        if (err) logger.error('Error creating library_words table', { error: err });
+    });
+    
+    db.run(`CREATE TABLE IF NOT EXISTS matches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        room_id TEXT NOT NULL,
+        room_name TEXT NOT NULL,
+        theme TEXT NOT NULL,
+        theme_name TEXT,
+        difficulty TEXT NOT NULL,
+        word TEXT NOT NULL,
+        winner TEXT NOT NULL,
+        voted_out_id INTEGER,
+        duration INTEGER NOT NULL,
+        details TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        ended_at TEXT NOT NULL
+    )`, (err) => {
+        if (err) logger.error('Error creating matches table', { error: err });
+    });
+    
+    db.run(MATCH_PLAYERS_TABLE, (err) => {
+        if (err) logger.error('Error creating match_players table', { error: err });
+    });
+    
+    // match_players used to key rows by an account id; rebuild it once with the round's player
+    // id as key and a user_id that is only set for real accounts
+    db.all('PRAGMA table_info(match_players)', (err, columns) => {
+        if (err || columns.some(column => column.name === 'player_id')) return;
+        
+        let failure = null;
+        const track = (stepError) => {
+            if (stepError && !failure) failure = stepError;
+        };
+        
+        db.serialize(() => {
+            db.run('BEGIN TRANSACTION', track);
+            db.run('ALTER TABLE match_players RENAME TO match_players_old', track);
+            db.run(MATCH_PLAYERS_TABLE, track);
+            db.run(`INSERT INTO match_players (match_id, player_id, user_id, username, role, voted_for, won)
+                SELECT match_id, user_id, CASE WHEN typeof(user_id) = 'integer' THEN user_id END, username, role, voted_for, won
+                FROM match_players_old`, (insertError) => {
+                track(insertError);
+                if (failure) {
+                    logger.error('Migration error', { error: failure });
+                    return db.run('ROLLBACK');
+                }
+                
+                // The old index went along with the rename, so it is recreated once the old table is gone
+                db.serialize(() => {
+                    db.run('DROP TABLE match_players_old');
+                    db.run('CREATE INDEX IF NOT EXISTS idx_match_players_user ON match_players (user_id)');
+                    db.run('COMMIT', (commitError) => {
+                        if (commitError) logger.error('Migration error', { error: commitError });
+                    });
+                });
+            });
+        });
+    });
+    
+    db.run('CREATE INDEX IF NOT EXISTS idx_match_players_user ON match_players (user_id)', (err) => {
+        if (err) logger.error('Error creating match_players index', { error: err });
+    });
+    
+    db.run(`CREATE TABLE IF NOT EXISTS user_achievements (
+        user_id INTEGER NOT NULL,
+        achievement TEXT NOT NULL,
+        unlocked_at TEXT NOT NULL,
+        PRIMARY KEY (user_id, achievement),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+    )`, (err) => {
+        if (err) logger.error('Error creating user_achievements table', { error: err });
+    });
+    
+    db.run(`CREATE TABLE IF NOT EXISTS room_snapshots (
+        room_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    )`, (err) => {
+        if (err) logger.error('Error creating room_snapshots table', { error: err });
+    });
+    
+    // Columns added after the initial release; "duplicate column" means already migrated
+    const columnMigrations = [
+        'ALTER TABLE user_stats ADD COLUMN times_won_by_guess INTEGER DEFAULT 0',
+        `ALTER TABLE user_stats ADD COLUMN crew_rating INTEGER DEFAULT ${RATING_DEFAULT}`,
+        `ALTER TABLE user_stats ADD COLUMN imposter_rating INTEGER DEFAULT ${RATING_DEFAULT}`,
+        'ALTER TABLE users ADD COLUMN token_version INTEGER DEFAULT 0',
+        'ALTER TABLE user_stats ADD COLUMN cycles_survived INTEGER DEFAULT 0'
+    ];
+    
+    columnMigrations.forEach(sql => {
+        db.run(sql, (err) => {
+            if (err && !err.message.includes('duplicate column')) {
+                logger.error('Migration error', { error: err });
+            }
+        });
     });
 });
 
+// Promise wrappers for multi-step queries
+function dbRun(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) return reject(err);
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function dbGet(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    });
+}
+
+function dbAll(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+}
+
+// Translations
+// Errors and system messages travel as { key, params } so every client can render them in its own locale;
+// the rendered text is sent along for clients that don't know a key
+const SUPPORTED_LOCALES = ['de', 'en'];
+const DEFAULT_LOCALE = 'de';
+
+const translations = {
+    de: {
+        'error.notAuthenticated': 'Nicht authentifiziert',
+        'error.invalidToken': 'Token ungültig',
+        'error.serverError': 'Serverfehler',
+        'error.forbidden': 'Keine Berechtigung',
+        'error.credentialsRequired': 'Username und Passwort sind erforderlich',
+        'error.usernameTooShort': 'Benutzername muss mindestens 3 Zeichen lang sein',
+        'error.passwordTooShort': 'Passwort muss mindestens 6 Zeichen lang sein',
+        'error.usernameTaken': 'Benutzername bereits vergeben',
+        'error.nicknameLength': 'Der Spitzname muss 3 bis 20 Zeichen lang sein',
+        'error.nicknameTaken': 'Dieser Name gehört zu einem registrierten Konto',
+        'error.accountRequired': 'Dafür brauchst du ein Konto',
+        'error.notGuest': 'Nur Gastzugänge können in ein Konto umgewandelt werden',
+        'error.passwordRequired': 'Passwort erforderlich',
+        'error.wrongPassword': 'Das Passwort ist falsch',
+        'error.accountDeleted': 'Dieses Konto wurde gelöscht',
+        'error.tooManyAttempts': 'Zu viele Versuche. Bitte warte {seconds} Sekunden.',
+        'error.notInRoom': 'Du bist nicht in diesem Raum',
+        'error.playersOnly': 'Zuschauer können das nicht',
+        'error.wrongPhase': 'Das geht in dieser Spielphase nicht',
+        'error.gamePaused': 'Die Runde ist pausiert',
+        'error.cannotPause': 'Es läuft gerade keine Runde, die pausiert werden kann',
+        'error.alreadyPaused': 'Die Runde ist bereits pausiert',
+        'error.notPaused': 'Die Runde ist nicht pausiert',
+        'error.eliminated': 'Du bist ausgeschieden und schaust nur noch zu',
+        'error.noDecoys': 'Diese Wortbibliothek hat keine Tarnwörter für den Undercover-Modus',
+        'error.invalidCredentials': 'Ungültige Anmeldedaten',
+        'error.libraryNotFound': 'Wortbibliothek nicht gefunden',
+        'error.invalidUserId': 'Ungültige Benutzer-ID',
+        'error.invalidMatchId': 'Ungültige Spiel-ID',
+        'error.matchNotFound': 'Spiel nicht gefunden',
+        'error.notParticipant': 'Du hast an diesem Spiel nicht teilgenommen',
+        'error.foreignMatchHistory': 'Du kannst nur deinen eigenen Spielverlauf sehen',
+        'error.invalidRole': 'Ungültige Rolle',
+        'error.invalidDate': 'Ungültiges Datum',
+        'error.invalidSort': 'Ungültige Sortierung',
+        'error.invalidLanguage': 'Ungültige Sprache',
+        'error.roomNameLength': 'Raumname muss zwischen 1 und 40 Zeichen lang sein',
+        'error.invalidVisibility': 'Ungültige Sichtbarkeit',
+        'error.roomPasswordLength': 'Raumpasswort muss zwischen 4 und 50 Zeichen lang sein',
+        'error.privateRoomPassword': 'Private Räume benötigen ein Passwort',
+        'error.roomNotFound': 'Raum nicht gefunden',
+        'error.banned': 'Du wurdest aus diesem Raum gebannt',
+        'error.roomLocked': 'Der Raum ist gesperrt',
+        'error.wrongRoomPassword': 'Falsches Raumpasswort',
+        'error.roomPasswordRequired': 'Dieser Raum ist passwortgeschützt',
+        'error.gameRunning': 'Spiel läuft bereits – du kannst aber zuschauen',
+        'error.cannotJoin': 'Raum ist voll oder du bist bereits im Raum',
+        'error.cannotSpectate': 'Zuschauen nicht möglich (bereits im Raum oder zu viele Zuschauer)',
+        'error.invalidDifficulty': 'Ungültige Schwierigkeit',
+        'error.invalidSettings': 'Ungültige Einstellungen',
+        'error.invalidImposterCount': 'Ungültige Imposter-Anzahl',
+        'error.invalidVoteTime': 'Ungültige Abstimmungszeit',
+        'error.invalidRoundTime': 'Ungültige Rundenzeit',
+        'error.invalidMaxPlayers': 'Ungültige Spielerzahl',
+        'error.invalidGuessTime': 'Ungültige Ratezeit',
+        'error.invalidTieRule': 'Ungültige Regel für Gleichstand',
+        'error.invalidClueTime': 'Ungültige Hinweiszeit',
+        'error.botsBetweenRounds': 'Bots können nur zwischen den Runden hinzugefügt werden',
+        'error.roomFull': 'Raum ist voll',
+        'error.inviteInvalid': 'Dieser Einladungslink ist ungültig',
+        'error.inviteExpired': 'Dieser Einladungslink ist abgelaufen',
+        'error.inviteUsedUp': 'Dieser Einladungslink wurde schon zu oft benutzt',
+        'error.cannotStart': 'Spiel kann nicht gestartet werden (mindestens 3 Spieler benötigt)',
+        'error.notYourTurn': 'Du bist nicht an der Reihe',
+        'error.invalidDrawTime': 'Ungültige Zeichenzeit',
+        'error.notYourDrawTurn': 'Du bist nicht mit Zeichnen dran',
+        'error.invalidStroke': 'Ungültiger Strich',
+        'error.inkExhausted': 'Deine Tinte ist aufgebraucht',
+        'error.nothingToUndo': 'Es gibt nichts rückgängig zu machen',
+        'error.noDrawing': 'Gerade wird nicht gezeichnet',
+        'error.invalidClue': 'Der Hinweis muss genau ein Wort sein (max. 30 Zeichen)',
+        'error.clueRevealsWord': 'Der Hinweis darf das geheime Wort nicht verraten',
+        'error.notAllowedToVote': 'Du darfst in diesem Raum nicht abstimmen',
+        'error.invalidVoteTarget': 'Für diesen Spieler kann nicht abgestimmt werden',
+        'error.selfVote': 'Du kannst nicht für dich selbst stimmen',
+        'error.invalidGuess': 'Ungültiger Rateversuch',
+        'error.notGuesser': 'Nur der entlarvte Imposter darf raten',
+        'error.spectatorNotFound': 'Zuschauer nicht gefunden',
+        'error.promoteBetweenRounds': 'Zuschauer können nur zwischen den Runden einsteigen',
+        'error.selfModeration': 'Das kannst du nicht mit dir selbst machen',
+        'error.playerNotFound': 'Spieler nicht gefunden',
+        'error.notBanned': 'Spieler ist nicht gebannt',
+        'error.invalidDuration': 'Ungültige Dauer',
+        'error.invalidAdmin': 'Admin kann nur ein menschlicher Spieler im Raum werden',
+        'library.nameLength': 'Name muss zwischen {min} und {max} Zeichen lang sein',
+        'library.descriptionLength': 'Beschreibung darf höchstens {max} Zeichen lang sein',
+        'library.wordsRequired': 'Wörter sind erforderlich',
+        'library.wordLength': 'Wörter müssen zwischen {min} und {max} Zeichen lang sein: "{word}"',
+        'library.duplicateWord': 'Doppeltes Wort: "{word}"',
+        'library.tooFewWords': 'Mindestens {min} Wörter pro Schwierigkeit erforderlich ({difficulty})',
+        'library.tooManyWords': 'Höchstens {max} Wörter pro Schwierigkeit erlaubt ({difficulty})',
+        'chat.muted': 'Du bist noch {seconds} Sekunden stummgeschaltet',
+        'chat.rateLimit': 'Du schreibst zu schnell – warte einen Moment',
+        'chat.duplicate': 'Bitte wiederhole dieselbe Nachricht nicht',
+        'chat.blocked': 'Deine Nachricht enthält ein gesperrtes Wort',
+        'chat.leak': 'Deine Nachricht verrät das geheime Wort und wurde nicht gesendet',
+        'system.joined': '{username} ist dem Raum beigetreten',
+        'system.left': '{username} hat den Raum verlassen',
+        'system.spectating': '{username} schaut jetzt zu',
+        'system.promoted': '{username} spielt ab der nächsten Runde mit',
+        'system.disconnected': '{username} hat die Verbindung verloren',
+        'system.reconnected': '{username} ist wieder verbunden',
+        'system.removedAfterDisconnect': '{username} wurde nach {seconds} Sekunden ohne Verbindung entfernt',
+        'system.runoff': 'Gleichstand! Stichwahl zwischen {names}',
+        'system.nobodyVotedOut': 'Niemand wurde rausgewählt',
+        'system.imposterCaught': '{username} wurde als Imposter entlarvt und darf das Wort erraten!',
+        'system.cluesComplete': 'Alle Hinweise sind abgegeben – jetzt wird frei diskutiert!',
+        'system.drawingsComplete': 'Alle Zeichnungen sind fertig – jetzt wird frei diskutiert!',
+        'system.canvasCleared': '{username} hat die Zeichnung gelöscht',
+        'achievement.firstWin': 'Erster Sieg',
+        'achievement.firstWin.description': 'Gewinne ein Spiel',
+        'achievement.hardWin': 'Harter Brocken',
+        'achievement.hardWin.description': 'Gewinne ein Spiel auf Schwierigkeit „Schwer“',
+        'achievement.unanimousCatch': 'Volltreffer',
+        'achievement.unanimousCatch.description': 'Entlarve den Imposter mit einer einstimmigen Abstimmung',
+        'achievement.wordThief': 'Wortdieb',
+        'achievement.wordThief.description': 'Gewinne als entlarvter Imposter, indem du das Wort errätst',
+        'achievement.imposterStreak': 'Meister der Täuschung',
+        'achievement.imposterStreak.description': 'Gewinne fünfmal in Folge als Imposter',
+        'achievement.allThemes': 'Weltenbummler',
+        'achievement.allThemes.description': 'Spiele jedes Thema mindestens einmal',
+        'achievement.veteran': 'Veteran',
+        'achievement.veteran.description': 'Spiele 50 Spiele',
+        'system.autoMuted': '{username} wurde wegen wiederholter Verstöße für {minutes} Minuten stummgeschaltet',
+        'system.kicked': '{username} wurde von {admin} aus dem Raum geworfen',
+        'system.banned': '{username} wurde von {admin} gebannt',
+        'system.unbanned': 'Der Bann für {username} wurde aufgehoben',
+        'system.muted': '{username} wurde für {minutes} Minute(n) stummgeschaltet',
+        'system.unmuted': '{username} darf wieder schreiben',
+        'system.adminTransferred': '{username} ist jetzt Admin',
+        'system.roomLocked': 'Der Raum wurde gesperrt',
+        'system.roomUnlocked': 'Der Raum ist wieder offen',
+        'system.paused': '{username} hat die Runde pausiert',
+        'system.resumed': '{username} hat die Runde fortgesetzt',
+        'system.eliminated': '{username} war kein Imposter und ist ausgeschieden',
+        'system.nextCycle': 'Der Imposter ist noch unter euch – Durchgang {cycle} beginnt',
+        'bot.oddClue': 'Der Hinweis von {username} passt für mich nicht so ganz.',
+        'bot.chat1': 'Hm, gar nicht so einfach.',
+        'bot.chat2': 'Ich habe da so eine Vermutung...',
+        'bot.chat3': 'Bisher passt alles, oder?',
+        'bot.chat4': 'Wer hatte nochmal welchen Hinweis?',
+        'bot.chat5': 'Ich bin gespannt auf die Abstimmung!'
+    },
+    en: {
+        'error.notAuthenticated': 'Not authenticated',
+        'error.invalidToken': 'Invalid token',
+        'error.serverError': 'Server error',
+        'error.forbidden': 'Permission denied',
+        'error.credentialsRequired': 'Username and password are required',
+        'error.usernameTooShort': 'Username must be at least 3 characters long',
+        'error.passwordTooShort': 'Password must be at least 6 characters long',
+        'error.usernameTaken': 'Username is already taken',
+        'error.nicknameLength': 'Nickname must be 3 to 20 characters long',
+        'error.nicknameTaken': 'This name belongs to a registered account',
+        'error.accountRequired': 'You need an account for this',
+        'error.notGuest': 'Only guest sessions can be turned into an account',
+        'error.passwordRequired': 'Password required',
+        'error.wrongPassword': 'The password is wrong',
+        'error.accountDeleted': 'This account has been deleted',
+        'error.tooManyAttempts': 'Too many attempts. Please wait {seconds} seconds.',
+        'error.notInRoom': 'You are not in this room',
+        'error.playersOnly': 'Spectators cannot do that',
+        'error.wrongPhase': 'That is not possible in this phase of the game',
+        'error.gamePaused': 'The round is paused',
+        'error.cannotPause': 'There is no running round to pause',
+        'error.alreadyPaused': 'The round is already paused',
+        'error.notPaused': 'The round is not paused',
+        'error.eliminated': 'You have been eliminated and can only watch',
+        'error.noDecoys': 'This word library has no decoy words for undercover mode',
+        'error.invalidCredentials': 'Invalid credentials',
+        'error.libraryNotFound': 'Word library not found',
+        'error.invalidUserId': 'Invalid user ID',
+        'error.invalidMatchId': 'Invalid match ID',
+        'error.matchNotFound': 'Match not found',
+        'error.notParticipant': 'You did not take part in this match',
+        'error.foreignMatchHistory': 'You can only view your own match history',
+        'error.invalidRole': 'Invalid role',
+        'error.invalidDate': 'Invalid date',
+        'error.invalidSort': 'Invalid sort order',
+        'error.invalidLanguage': 'Invalid language',
+        'error.roomNameLength': 'Room name must be between 1 and 40 characters long',
+        'error.invalidVisibility': 'Invalid visibility',
+        'error.roomPasswordLength': 'Room password must be between 4 and 50 characters long',
+        'error.privateRoomPassword': 'Private rooms need a password',
+        'error.roomNotFound': 'Room not found',
+        'error.banned': 'You have been banned from this room',
+        'error.roomLocked': 'The room is locked',
+        'error.wrongRoomPassword': 'Wrong room password',
+        'error.roomPasswordRequired': 'This room is password protected',
+        'error.gameRunning': 'The game is already running – but you can watch',
+        'error.cannotJoin': 'The room is full or you are already in it',
+        'error.cannotSpectate': 'Cannot watch (already in the room or too many spectators)',
+        'error.invalidDifficulty': 'Invalid difficulty',
+        'error.invalidSettings': 'Invalid settings',
+        'error.invalidImposterCount': 'Invalid number of imposters',
+        'error.invalidVoteTime': 'Invalid voting time',
+        'error.invalidRoundTime': 'Invalid round time',
+        'error.invalidMaxPlayers': 'Invalid player limit',
+        'error.invalidGuessTime': 'Invalid guessing time',
+        'error.invalidTieRule': 'Invalid tie rule',
+        'error.invalidClueTime': 'Invalid clue time',
+        'error.botsBetweenRounds': 'Bots can only be added between rounds',
+        'error.roomFull': 'The room is full',
+        'error.inviteInvalid': 'This invite link is not valid',
+        'error.inviteExpired': 'This invite link has expired',
+        'error.inviteUsedUp': 'This invite link has been used too many times',
+        'error.cannotStart': 'The game cannot be started (at least 3 players needed)',
+        'error.notYourTurn': 'It is not your turn',
+        'error.invalidDrawTime': 'Invalid drawing time',
+        'error.notYourDrawTurn': 'It is not your turn to draw',
+        'error.invalidStroke': 'Invalid stroke',
+        'error.inkExhausted': 'You are out of ink',
+        'error.nothingToUndo': 'There is nothing to undo',
+        'error.noDrawing': 'Nobody is drawing right now',
+        'error.invalidClue': 'The clue must be exactly one word (max. 30 characters)',
+        'error.clueRevealsWord': 'The clue must not reveal the secret word',
+        'error.notAllowedToVote': 'You are not allowed to vote in this room',
+        'error.invalidVoteTarget': 'You cannot vote for this player',
+        'error.selfVote': 'You cannot vote for yourself',
+        'error.invalidGuess': 'Invalid guess',
+        'error.notGuesser': 'Only the caught imposter may guess',
+        'error.spectatorNotFound': 'Spectator not found',
+        'error.promoteBetweenRounds': 'Spectators can only join between rounds',
+        'error.selfModeration': 'You cannot do that to yourself',
+        'error.playerNotFound': 'Player not found',
+        'error.notBanned': 'Player is not banned',
+        'error.invalidDuration': 'Invalid duration',
+        'error.invalidAdmin': 'Only a human player in the room can become admin',
+        'library.nameLength': 'Name must be between {min} and {max} characters long',
+        'library.descriptionLength': 'Description must be at most {max} characters long',
+        'library.wordsRequired': 'Words are required',
+        'library.wordLength': 'Words must be between {min} and {max} characters long: "{word}"',
+        'library.duplicateWord': 'Duplicate word: "{word}"',
+        'library.tooFewWords': 'At least {min} words per difficulty required ({difficulty})',
+        'library.tooManyWords': 'At most {max} words per difficulty allowed ({difficulty})',
+        'chat.muted': 'You are muted for another {seconds} seconds',
+        'chat.rateLimit': 'You are typing too fast – wait a moment',
+        'chat.duplicate': 'Please do not repeat the same message',
+        'chat.blocked': 'Your message contains a blocked word',
+        'chat.leak': 'Your message reveals the secret word and was not sent',
+        'system.joined': '{username} joined the room',
+        'system.left': '{username} left the room',
+        'system.spectating': '{username} is now watching',
+        'system.promoted': '{username} plays from the next round on',
+        'system.disconnected': '{username} lost the connection',
+        'system.reconnected': '{username} is back online',
+        'system.removedAfterDisconnect': '{username} was removed after {seconds} seconds without a connection',
+        'system.runoff': 'Tie! Runoff vote between {names}',
+        'system.nobodyVotedOut': 'Nobody was voted out',
+        'system.imposterCaught': '{username} was exposed as an imposter and may guess the word!',
+        'system.cluesComplete': 'All clues are in – time for open discussion!',
+        'system.drawingsComplete': 'All drawings are done – time for open discussion!',
+        'system.canvasCleared': '{username} cleared the drawing',
+        'achievement.firstWin': 'First win',
+        'achievement.firstWin.description': 'Win a game',
+        'achievement.hardWin': 'Tough nut',
+        'achievement.hardWin.description': 'Win a game on hard difficulty',
+        'achievement.unanimousCatch': 'Bullseye',
+        'achievement.unanimousCatch.description': 'Catch the imposter with a unanimous vote',
+        'achievement.wordThief': 'Word thief',
+        'achievement.wordThief.description': 'Win as a caught imposter by guessing the word',
+        'achievement.imposterStreak': 'Master of deception',
+        'achievement.imposterStreak.description': 'Win five times in a row as the imposter',
+        'achievement.allThemes': 'Globetrotter',
+        'achievement.allThemes.description': 'Play every theme at least once',
+        'achievement.veteran': 'Veteran',
+        'achievement.veteran.description': 'Play 50 games',
+        'system.autoMuted': '{username} was muted for {minutes} minutes after repeated violations',
+        'system.kicked': '{username} was kicked from the room by {admin}',
+        'system.banned': '{username} was banned by {admin}',
+        'system.unbanned': 'The ban on {username} was lifted',
+        'system.muted': '{username} was muted for {minutes} minute(s)',
+        'system.unmuted': '{username} may write again',
+        'system.adminTransferred': '{username} is now admin',
+        'system.roomLocked': 'The room was locked',
+        'system.roomUnlocked': 'The room is open again',
+        'system.paused': '{username} paused the round',
+        'system.resumed': '{username} resumed the round',
+        'system.eliminated': '{username} was not an imposter and has been eliminated',
+        'system.nextCycle': 'The imposter is still among you – cycle {cycle} begins',
+        'bot.oddClue': 'The clue from {username} doesn\'t quite fit for me.',
+        'bot.chat1': 'Hm, not that easy.',
+        'bot.chat2': 'I have a hunch...',
+        'bot.chat3': 'Everything fits so far, right?',
+        'bot.chat4': 'Who gave which clue again?',
+        'bot.chat5': 'I can\'t wait for the vote!'
+    }
+};
+
+// Picks the first supported language from a locale code or an Accept-Language header
+function pickLocale(value) {
+    const tags = String(value || '').split(',')
+        .map(part => {
+            const [tag, quality] = part.trim().split(';q=');
+            return { language: tag.split('-')[0].toLowerCase(), quality: quality === undefined ? 1 : parseFloat(quality) };
+        })
+        .sort((a, b) => b.quality - a.quality);
+    
+    const match = tags.find(tag => SUPPORTED_LOCALES.includes(tag.language));
+    return match ? match.language : DEFAULT_LOCALE;
+}
+
+function translate(locale, key, params = {}) {
+    const catalog = translations[locale] || translations[DEFAULT_LOCALE];
+    const template = catalog[key] || translations[DEFAULT_LOCALE][key] || key;
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] !== undefined ? params[name] : placeholder);
+}
+
+function localize(locale, key, params = {}) {
+    return { key, params, message: translate(locale, key, params) };
+}
+
+function emitError(socket, key, params) {
+    socket.emit('error', localize(socket.locale, key, params));
+}
+
+function sendError(req, res, status, key, params) {
+    return res.status(status).json({ error: translate(req.locale, key, params), errorKey: key, params: params || {} });
+}
+
 // Word Libraries
+// One set per room language; the theme keys are the same in every language
 const wordLibraries = {
-    animals: {
-        name: "Tiere",
-        description: "Verschiedene Tierarten aus aller Welt",
-        words: {
-            easy: ["Hund", "Katze", "Pferd", "Kuh", "Schwein", "Huhn", "Ente", "Schaf", "Ziege", "Hase"],
-            medium: ["Elefant", "Giraffe", "Zebra", "Löwe", "Tiger", "Panda", "Koala", "Pinguin", "Delfin", "Wal"],
-            hard: ["Axolotl", "Quetzal", "Okapi", "Gharial", "Aye-Aye", "Pangolin", "Tapir", "Binturong", "Fossa", "Numbat"]
-        }
-    },
-    food: {
-        name: "Essen & Trinken", 
-        description: "Leckere Speisen und Getränke",
-        words: {
-            easy: ["Apfel", "Brot", "Käse", "Milch", "Wasser", "Reis", "Nudeln", "Ei", "Butter", "Zucker"],
-            medium: ["Lasagne", "Sushi", "Cappuccino", "Croissant", "Paella", "Quinoa", "Hummus", "Gazpacho", "Risotto", "Tiramisu"],
-            hard: ["Bouillabaisse", "Ceviche", "Maultasche", "Borschtsch", "Kimchi", "Pho", "Mole", "Tagine", "Pierogi", "Baklava"]
-        }
-    },
-    objects: {
-        name: "Gegenstände",
-        description: "Alltägliche und besondere Gegenstände", 
-        words: {
-            easy: ["Stuhl", "Tisch", "Buch", "Telefon", "Auto", "Haus", "Fenster", "Tür", "Lampe", "Uhr"],
-            medium: ["Computer", "Mikrowelle", "Staubsauger", "Waschmaschine", "Fernseher", "Kühlschrank", "Sofa", "Schrank", "Spiegel", "Bild"],
-            hard: ["Kaleidoskop", "Astrolabium", "Sextant", "Chronometer", "Barometer", "Hygrometer", "Seismograph", "Spektrometer", "Theodolite", "Planimeter"]
+    de: {
+        animals: {
+            name: "Tiere",
+            description: "Verschiedene Tierarten aus aller Welt",
+            words: {
+                easy: ["Hund", "Katze", "Pferd", "Kuh", "Schwein", "Huhn", "Ente", "Schaf", "Ziege", "Hase"],
+                medium: ["Elefant", "Giraffe", "Zebra", "Löwe", "Tiger", "Panda", "Koala", "Pinguin", "Delfin", "Wal"],
+                hard: ["Axolotl", "Quetzal", "Okapi", "Gharial", "Aye-Aye", "Pangolin", "Tapir", "Binturong", "Fossa", "Numbat"]
+            },
+            // Clue words for bots, one list per word
+            associations: {
+                "Hund": ["bellen", "Leine", "Knochen", "treu", "Gassi"],
+                "Katze": ["miauen", "schnurren", "Maus", "Krallen", "Fell"],
+                "Pferd": ["reiten", "Sattel", "Stall", "Hufeisen", "galoppieren"],
+                "Kuh": ["Milch", "Weide", "muhen", "Glocke", "Alm"],
+                "Schwein": ["Ferkel", "Schlamm", "rosa", "grunzen", "Stall"],
+                "Huhn": ["Eier", "gackern", "Hof", "Federn", "Stange"],
+                "Ente": ["quaken", "Teich", "Schnabel", "watscheln", "Federn"],
+                "Schaf": ["Wolle", "Herde", "blöken", "Weide", "Lamm"],
+                "Ziege": ["meckern", "Hörner", "Käse", "Berg", "Bart"],
+                "Hase": ["Ostern", "Möhre", "hoppeln", "Löffel", "Wiese"],
+                "Elefant": ["Rüssel", "grau", "Stoßzähne", "Afrika", "riesig"],
+                "Giraffe": ["Hals", "Savanne", "Flecken", "groß", "Blätter"],
+                "Zebra": ["Streifen", "schwarz-weiß", "Savanne", "Herde", "Afrika"],
+                "Löwe": ["Mähne", "brüllen", "König", "Savanne", "Rudel"],
+                "Tiger": ["Streifen", "Dschungel", "Raubkatze", "orange", "Asien"],
+                "Panda": ["Bambus", "China", "schwarz-weiß", "Bär", "knuddelig"],
+                "Koala": ["Eukalyptus", "Australien", "Baum", "schläfrig", "Beutel"],
+                "Pinguin": ["Eis", "Frack", "watscheln", "Antarktis", "Fisch"],
+                "Delfin": ["Flosse", "Meer", "klug", "springen", "Schule"],
+                "Wal": ["Ozean", "Fontäne", "riesig", "Gesang", "Plankton"],
+                "Axolotl": ["Mexiko", "Kiemen", "Lurch", "nachwachsen", "Aquarium"],
+                "Quetzal": ["Vogel", "Federn", "grün", "Maya", "Guatemala"],
+                "Okapi": ["Kongo", "Streifen", "Regenwald", "Giraffenverwandter", "scheu"],
+                "Gharial": ["Krokodil", "Schnauze", "Indien", "Fluss", "Zähne"],
+                "Aye-Aye": ["Madagaskar", "Finger", "nachtaktiv", "Lemur", "Ohren"],
+                "Pangolin": ["Schuppen", "Ameisen", "einrollen", "Panzer", "nachtaktiv"],
+                "Tapir": ["Rüssel", "Regenwald", "Schnauze", "Südamerika", "Dickhäuter"],
+                "Binturong": ["Popcorn", "Schwanz", "Asien", "Baum", "Bärenmarder"],
+                "Fossa": ["Madagaskar", "Raubtier", "Lemuren", "klettern", "Katzenartig"],
+                "Numbat": ["Australien", "Termiten", "Streifen", "Beuteltier", "Zunge"]
+            },
+            // Undercover mode: related words of the same difficulty; the imposter is dealt the other half
+            decoyPairs: [
+                ["Hund", "Katze"], ["Schaf", "Ziege"], ["Huhn", "Ente"], ["Pferd", "Kuh"],
+                ["Löwe", "Tiger"], ["Zebra", "Giraffe"], ["Panda", "Koala"], ["Delfin", "Wal"],
+                ["Tapir", "Okapi"], ["Pangolin", "Numbat"], ["Aye-Aye", "Fossa"], ["Gharial", "Axolotl"]
+            ]
+        },
+        food: {
+            name: "Essen & Trinken", 
+            description: "Leckere Speisen und Getränke",
+            words: {
+                easy: ["Apfel", "Brot", "Käse", "Milch", "Wasser", "Reis", "Nudeln", "Ei", "Butter", "Zucker"],
+                medium: ["Lasagne", "Sushi", "Cappuccino", "Croissant", "Paella", "Quinoa", "Hummus", "Gazpacho", "Risotto", "Tiramisu"],
+                hard: ["Bouillabaisse", "Ceviche", "Maultasche", "Borschtsch", "Kimchi", "Pho", "Mole", "Tagine", "Pierogi", "Baklava"]
+            },
+            // Clue words for bots, one list per word
+            associations: {
+                "Apfel": ["Obst", "rot", "Baum", "knackig", "Kerngehäuse"],
+                "Brot": ["Bäcker", "Kruste", "Scheibe", "Sauerteig", "Frühstück"],
+                "Käse": ["Loch", "Kuh", "reifen", "Schweiz", "Raclette"],
+                "Milch": ["Kuh", "weiß", "Glas", "Kakao", "Kühlschrank"],
+                "Wasser": ["trinken", "nass", "Quelle", "Flasche", "Durst"],
+                "Reis": ["Korn", "Asien", "Beilage", "Stäbchen", "weiß"],
+                "Nudeln": ["Italien", "Soße", "kochen", "Spaghetti", "Teig"],
+                "Ei": ["Huhn", "Schale", "Frühstück", "Dotter", "Ostern"],
+                "Butter": ["Brot", "Fett", "streichen", "gelb", "schmelzen"],
+                "Zucker": ["süß", "Würfel", "Kaffee", "backen", "weiß"],
+                "Lasagne": ["Schichten", "Ofen", "Italien", "Hackfleisch", "Béchamel"],
+                "Sushi": ["Japan", "Fisch", "Reis", "Stäbchen", "Algen"],
+                "Cappuccino": ["Kaffee", "Milchschaum", "Italien", "Tasse", "Barista"],
+                "Croissant": ["Frankreich", "Frühstück", "Blätterteig", "Hörnchen", "Bäcker"],
+                "Paella": ["Spanien", "Pfanne", "Safran", "Meeresfrüchte", "Reis"],
+                "Quinoa": ["Korn", "Anden", "gesund", "Superfood", "Salat"],
+                "Hummus": ["Kichererbsen", "Sesam", "Dip", "Orient", "Fladenbrot"],
+                "Gazpacho": ["kalt", "Suppe", "Tomaten", "Spanien", "Sommer"],
+                "Risotto": ["Reis", "cremig", "Parmesan", "rühren", "Italien"],
+                "Tiramisu": ["Mascarpone", "Kaffee", "Dessert", "Italien", "Löffelbiskuit"],
+                "Bouillabaisse": ["Fischsuppe", "Marseille", "Frankreich", "Safran", "Hafen"],
+                "Ceviche": ["Peru", "roh", "Limette", "Fisch", "sauer"],
+                "Maultasche": ["Schwaben", "Teig", "gefüllt", "Brühe", "Herrgottsbscheißerle"],
+                "Borschtsch": ["Rote-Bete", "Suppe", "Osteuropa", "Schmand", "rot"],
+                "Kimchi": ["Korea", "scharf", "Kohl", "fermentiert", "Chili"],
+                "Pho": ["Vietnam", "Suppe", "Reisnudeln", "Brühe", "Koriander"],
+                "Mole": ["Mexiko", "Soße", "Schokolade", "Chili", "dunkel"],
+                "Tagine": ["Marokko", "Tontopf", "Schmoren", "Gewürze", "Couscous"],
+                "Pierogi": ["Polen", "Teigtaschen", "gefüllt", "Kartoffel", "Zwiebeln"],
+                "Baklava": ["Blätterteig", "Honig", "Pistazien", "Türkei", "süß"]
+            },
+            // Undercover mode: related words of the same difficulty; the imposter is dealt the other half
+            decoyPairs: [
+                ["Milch", "Wasser"], ["Reis", "Nudeln"], ["Butter", "Käse"], ["Brot", "Ei"],
+                ["Paella", "Risotto"], ["Cappuccino", "Croissant"], ["Lasagne", "Tiramisu"], ["Hummus", "Quinoa"],
+                ["Borschtsch", "Bouillabaisse"], ["Kimchi", "Pho"], ["Tagine", "Mole"], ["Maultasche", "Pierogi"]
+            ]
+        },
+        objects: {
+            name: "Gegenstände",
+            description: "Alltägliche und besondere Gegenstände", 
+            words: {
+                easy: ["Stuhl", "Tisch", "Buch", "Telefon", "Auto", "Haus", "Fenster", "Tür", "Lampe", "Uhr"],
+                medium: ["Computer", "Mikrowelle", "Staubsauger", "Waschmaschine", "Fernseher", "Kühlschrank", "Sofa", "Schrank", "Spiegel", "Bild"],
+                hard: ["Kaleidoskop", "Astrolabium", "Sextant", "Chronometer", "Barometer", "Hygrometer", "Seismograph", "Spektrometer", "Theodolite", "Planimeter"]
+            },
+            // Clue words for bots, one list per word
+            associations: {
+                "Stuhl": ["sitzen", "Lehne", "Beine", "Holz", "Esstisch"],
+                "Tisch": ["Platte", "Beine", "essen", "Decke", "Möbel"],
+                "Buch": ["lesen", "Seiten", "Regal", "Autor", "Kapitel"],
+                "Telefon": ["anrufen", "klingeln", "Nummer", "Hörer", "Gespräch"],
+                "Auto": ["fahren", "Räder", "Motor", "Straße", "tanken"],
+                "Haus": ["wohnen", "Dach", "Wände", "Garten", "Familie"],
+                "Fenster": ["Glas", "Aussicht", "öffnen", "Rahmen", "Vorhang"],
+                "Tür": ["Klinke", "Schlüssel", "öffnen", "Eingang", "klopfen"],
+                "Lampe": ["Licht", "Glühbirne", "Schalter", "hell", "Schirm"],
+                "Uhr": ["Zeit", "Zeiger", "ticken", "Stunde", "Wecker"],
+                "Computer": ["Tastatur", "Bildschirm", "Maus", "Internet", "Programm"],
+                "Mikrowelle": ["aufwärmen", "Küche", "Teller", "piepen", "schnell"],
+                "Staubsauger": ["Teppich", "saugen", "laut", "Beutel", "putzen"],
+                "Waschmaschine": ["Wäsche", "Trommel", "schleudern", "Waschmittel", "Keller"],
+                "Fernseher": ["Programm", "Fernbedienung", "Sofa", "Serie", "Bildschirm"],
+                "Kühlschrank": ["kalt", "Küche", "Lebensmittel", "Tür", "Eiswürfel"],
+                "Sofa": ["Couch", "gemütlich", "Wohnzimmer", "Kissen", "liegen"],
+                "Schrank": ["Kleidung", "Türen", "Möbel", "Kleiderbügel", "verstauen"],
+                "Spiegel": ["eitel", "Glas", "Badezimmer", "schauen", "reflektieren"],
+                "Bild": ["Rahmen", "Wand", "Kunst", "Maler", "aufhängen"],
+                "Kaleidoskop": ["Muster", "bunt", "drehen", "Spiegel", "Spielzeug"],
+                "Astrolabium": ["Sterne", "Astronomie", "Mittelalter", "Messing", "Navigation"],
+                "Sextant": ["Seefahrt", "Winkel", "Navigation", "Sonne", "Kapitän"],
+                "Chronometer": ["Zeit", "präzise", "Seefahrt", "Uhrwerk", "Längengrad"],
+                "Barometer": ["Luftdruck", "Wetter", "Hochdruck", "Tief", "messen"],
+                "Hygrometer": ["Luftfeuchtigkeit", "messen", "feucht", "Raumklima", "Prozent"],
+                "Seismograph": ["Erdbeben", "Richterskala", "Ausschlag", "messen", "Erschütterung"],
+                "Spektrometer": ["Licht", "Wellenlänge", "Labor", "Prisma", "Analyse"],
+                "Theodolite": ["Vermessung", "Winkel", "Stativ", "Landvermesser", "Fernrohr"],
+                "Planimeter": ["Fläche", "Landkarte", "messen", "Mechanik", "Vermessung"]
+            },
+            // Undercover mode: related words of the same difficulty; the imposter is dealt the other half
+            decoyPairs: [
+                ["Stuhl", "Tisch"], ["Fenster", "Tür"], ["Lampe", "Uhr"], ["Buch", "Telefon"],
+                ["Mikrowelle", "Kühlschrank"], ["Staubsauger", "Waschmaschine"], ["Sofa", "Schrank"], ["Spiegel", "Bild"], ["Computer", "Fernseher"],
+                ["Barometer", "Hygrometer"], ["Sextant", "Astrolabium"], ["Theodolite", "Planimeter"], ["Kaleidoskop", "Spektrometer"]
+            ]
+        },
+        activities: {
+            name: "Aktivitäten",
+            description: "Hobbys, Sport und Freizeitaktivitäten",
+            words: {
+                easy: ["Laufen", "Schwimmen", "Lesen", "Singen", "Tanzen", "Malen", "Kochen", "Schlafen", "Essen", "Spielen"],
+                medium: ["Bergsteigen", "Surfen", "Fotografieren", "Gärtnern", "Angeln", "Wandern", "Radfahren", "Skifahren", "Segeln", "Reiten"],
+                hard: ["Falknerei", "Kalligrafie", "Origami", "Bonsai", "Geocaching", "Parkour", "Aikido", "Bogenschießen", "Slacklining", "Kite-Surfen"]
+            },
+            // Clue words for bots, one list per word
+            associations: {
+                "Laufen": ["Joggen", "Schuhe", "Marathon", "schnell", "Park"],
+                "Schwimmen": ["Wasser", "Becken", "Badehose", "Kraulen", "Freibad"],
+                "Lesen": ["Buch", "Seiten", "Bibliothek", "Brille", "Geschichte"],
+                "Singen": ["Stimme", "Lied", "Chor", "Mikrofon", "Karaoke"],
+                "Tanzen": ["Musik", "Schritte", "Walzer", "Disco", "Rhythmus"],
+                "Malen": ["Pinsel", "Farbe", "Leinwand", "Kunst", "Staffelei"],
+                "Kochen": ["Herd", "Topf", "Rezept", "Küche", "würzen"],
+                "Schlafen": ["Bett", "träumen", "Nacht", "Kissen", "müde"],
+                "Essen": ["Hunger", "Teller", "Besteck", "lecker", "Mahlzeit"],
+                "Spielen": ["Spaß", "Brettspiel", "Würfel", "Kinder", "gewinnen"],
+                "Bergsteigen": ["Gipfel", "Seil", "Alpen", "klettern", "Höhe"],
+                "Surfen": ["Welle", "Brett", "Strand", "Meer", "Neopren"],
+                "Fotografieren": ["Kamera", "Objektiv", "Motiv", "Blitz", "Bild"],
+                "Gärtnern": ["Beet", "Schaufel", "Pflanzen", "gießen", "Unkraut"],
+                "Angeln": ["Fisch", "Rute", "Köder", "See", "Geduld"],
+                "Wandern": ["Rucksack", "Berge", "Weg", "Natur", "Stiefel"],
+                "Radfahren": ["Fahrrad", "Pedale", "Helm", "Sattel", "Radweg"],
+                "Skifahren": ["Schnee", "Piste", "Lift", "Winter", "Stöcke"],
+                "Segeln": ["Boot", "Wind", "Mast", "See", "Kurs"],
+                "Reiten": ["Pferd", "Sattel", "Stall", "Galopp", "Zügel"],
+                "Falknerei": ["Greifvogel", "Handschuh", "Jagd", "Falke", "Beizjagd"],
+                "Kalligrafie": ["Schrift", "Feder", "Tinte", "schön", "Buchstaben"],
+                "Origami": ["Papier", "falten", "Japan", "Kranich", "Kunst"],
+                "Bonsai": ["Baum", "klein", "Schere", "Japan", "Geduld"],
+                "Geocaching": ["GPS", "Schatz", "Suche", "Koordinaten", "Logbuch"],
+                "Parkour": ["springen", "Stadt", "Hindernisse", "Mauer", "Akrobatik"],
+                "Aikido": ["Kampfkunst", "Japan", "Dojo", "Gürtel", "Wurf"],
+                "Bogenschießen": ["Pfeil", "Zielscheibe", "Sehne", "zielen", "Robin-Hood"],
+                "Slacklining": ["Band", "Balance", "Bäume", "wackeln", "Gleichgewicht"],
+                "Kite-Surfen": ["Drachen", "Wind", "Brett", "Strand", "Welle"]
+            },
+            // Undercover mode: related words of the same difficulty; the imposter is dealt the other half
+            decoyPairs: [
+                ["Laufen", "Schwimmen"], ["Singen", "Tanzen"], ["Kochen", "Essen"], ["Lesen", "Malen"],
+                ["Surfen", "Segeln"], ["Skifahren", "Bergsteigen"], ["Wandern", "Radfahren"], ["Angeln", "Gärtnern"],
+                ["Kalligrafie", "Origami"], ["Aikido", "Parkour"], ["Slacklining", "Kite-Surfen"], ["Falknerei", "Bogenschießen"]
+            ]
         }
     },
-    activities: {
-        name: "Aktivitäten",
-        description: "Hobbys, Sport und Freizeitaktivitäten",
-        words: {
-            easy: ["Laufen", "Schwimmen", "Lesen", "Singen", "Tanzen", "Malen", "Kochen", "Schlafen", "Essen", "Spielen"],
-            medium: ["Bergsteigen", "Surfen", "Fotografieren", "Gärtnern", "Angeln", "Wandern", "Radfahren", "Skifahren", "Segeln", "Reiten"],
-            hard: ["Falknerei", "Kalligrafie", "Origami", "Bonsai", "Geocaching", "Parkour", "Aikido", "Bogenschießen", "Slacklining", "Kite-Surfen"]
+    en: {
+        animals: {
+            name: "Animals",
+            description: "Different species from around the world",
+            words: {
+                easy: ["Dog", "Cat", "Horse", "Cow", "Pig", "Chicken", "Duck", "Sheep", "Goat", "Rabbit"],
+                medium: ["Elephant", "Giraffe", "Zebra", "Lion", "Tiger", "Panda", "Koala", "Penguin", "Dolphin", "Whale"],
+                hard: ["Axolotl", "Quetzal", "Okapi", "Gharial", "Aye-Aye", "Pangolin", "Tapir", "Binturong", "Fossa", "Numbat"]
+            },
+            // Clue words for bots, one list per word
+            associations: {
+                "Dog": ["bark", "leash", "bone", "loyal", "walkies"],
+                "Cat": ["meow", "purr", "mouse", "claws", "fur"],
+                "Horse": ["ride", "saddle", "stable", "hooves", "gallop"],
+                "Cow": ["milk", "pasture", "moo", "bell", "farm"],
+                "Pig": ["piglet", "mud", "pink", "oink", "bacon"],
+                "Chicken": ["eggs", "cluck", "farmyard", "feathers", "coop"],
+                "Duck": ["quack", "pond", "beak", "waddle", "feathers"],
+                "Sheep": ["wool", "flock", "bleat", "meadow", "lamb"],
+                "Goat": ["bleat", "horns", "cheese", "mountain", "beard"],
+                "Rabbit": ["Easter", "carrot", "hop", "ears", "burrow"],
+                "Elephant": ["trunk", "grey", "tusks", "Africa", "huge"],
+                "Giraffe": ["neck", "savanna", "spots", "tall", "leaves"],
+                "Zebra": ["stripes", "black-white", "savanna", "herd", "Africa"],
+                "Lion": ["mane", "roar", "king", "savanna", "pride"],
+                "Tiger": ["stripes", "jungle", "predator", "orange", "Asia"],
+                "Panda": ["bamboo", "China", "black-white", "bear", "cuddly"],
+                "Koala": ["eucalyptus", "Australia", "tree", "sleepy", "pouch"],
+                "Penguin": ["ice", "tuxedo", "waddle", "Antarctica", "fish"],
+                "Dolphin": ["fin", "sea", "clever", "jump", "pod"],
+                "Whale": ["ocean", "spout", "huge", "song", "plankton"],
+                "Axolotl": ["Mexico", "gills", "amphibian", "regrow", "aquarium"],
+                "Quetzal": ["bird", "feathers", "green", "Maya", "Guatemala"],
+                "Okapi": ["Congo", "stripes", "rainforest", "shy", "hooves"],
+                "Gharial": ["crocodile", "snout", "India", "river", "teeth"],
+                "Aye-Aye": ["Madagascar", "finger", "nocturnal", "lemur", "ears"],
+                "Pangolin": ["scales", "ants", "curl", "armor", "nocturnal"],
+                "Tapir": ["trunk", "rainforest", "snout", "Amazon", "hooves"],
+                "Binturong": ["popcorn", "tail", "Asia", "tree", "bearcat"],
+                "Fossa": ["Madagascar", "predator", "lemurs", "climb", "catlike"],
+                "Numbat": ["Australia", "termites", "stripes", "marsupial", "tongue"]
+            },
+            // Undercover mode: related words of the same difficulty; the imposter is dealt the other half
+            decoyPairs: [
+                ["Dog", "Cat"], ["Sheep", "Goat"], ["Chicken", "Duck"], ["Horse", "Cow"],
+                ["Lion", "Tiger"], ["Zebra", "Giraffe"], ["Panda", "Koala"], ["Dolphin", "Whale"],
+                ["Tapir", "Okapi"], ["Pangolin", "Numbat"], ["Aye-Aye", "Fossa"], ["Gharial", "Axolotl"]
+            ]
+        },
+        food: {
+            name: "Food & Drink",
+            description: "Tasty dishes and drinks",
+            words: {
+                easy: ["Apple", "Bread", "Cheese", "Milk", "Water", "Rice", "Noodles", "Egg", "Butter", "Sugar"],
+                medium: ["Lasagna", "Sushi", "Cappuccino", "Croissant", "Paella", "Quinoa", "Hummus", "Gazpacho", "Risotto", "Tiramisu"],
+                hard: ["Bouillabaisse", "Ceviche", "Haggis", "Borscht", "Kimchi", "Pho", "Mole", "Tagine", "Pierogi", "Baklava"]
+            },
+            // Clue words for bots, one list per word
+            associations: {
+                "Apple": ["fruit", "red", "orchard", "crunchy", "core"],
+                "Bread": ["bakery", "crust", "slice", "sourdough", "toast"],
+                "Cheese": ["holes", "cow", "mature", "Switzerland", "cheddar"],
+                "Milk": ["cow", "white", "glass", "cocoa", "fridge"],
+                "Water": ["drink", "wet", "spring", "bottle", "thirst"],
+                "Rice": ["grain", "Asia", "side", "chopsticks", "white"],
+                "Noodles": ["Italy", "sauce", "boil", "spaghetti", "dough"],
+                "Egg": ["hen", "shell", "breakfast", "yolk", "Easter"],
+                "Butter": ["toast", "fat", "spread", "yellow", "melt"],
+                "Sugar": ["sweet", "cube", "coffee", "baking", "white"],
+                "Lasagna": ["layers", "oven", "Italy", "mince", "bechamel"],
+                "Sushi": ["Japan", "fish", "rice", "chopsticks", "seaweed"],
+                "Cappuccino": ["coffee", "froth", "Italy", "cup", "barista"],
+                "Croissant": ["France", "breakfast", "pastry", "crescent", "bakery"],
+                "Paella": ["Spain", "pan", "saffron", "seafood", "rice"],
+                "Quinoa": ["grain", "Andes", "healthy", "superfood", "salad"],
+                "Hummus": ["chickpeas", "sesame", "dip", "tahini", "pita"],
+                "Gazpacho": ["cold", "soup", "tomatoes", "Spain", "summer"],
+                "Risotto": ["rice", "creamy", "parmesan", "stir", "Italy"],
+                "Tiramisu": ["mascarpone", "coffee", "dessert", "Italy", "ladyfingers"],
+                "Bouillabaisse": ["fish-soup", "Marseille", "France", "saffron", "harbour"],
+                "Ceviche": ["Peru", "raw", "lime", "fish", "sour"],
+                "Haggis": ["Scotland", "sheep", "oats", "bagpipes", "Burns"],
+                "Borscht": ["beetroot", "soup", "Ukraine", "sour-cream", "red"],
+                "Kimchi": ["Korea", "spicy", "cabbage", "fermented", "chili"],
+                "Pho": ["Vietnam", "soup", "rice-noodles", "broth", "coriander"],
+                "Mole": ["Mexico", "sauce", "chocolate", "chili", "dark"],
+                "Tagine": ["Morocco", "clay-pot", "stew", "spices", "couscous"],
+                "Pierogi": ["Poland", "dumplings", "filled", "potato", "onions"],
+                "Baklava": ["pastry", "honey", "pistachios", "Turkey", "sweet"]
+            },
+            // Undercover mode: related words of the same difficulty; the imposter is dealt the other half
+            decoyPairs: [
+                ["Milk", "Water"], ["Rice", "Noodles"], ["Butter", "Cheese"], ["Bread", "Egg"],
+                ["Paella", "Risotto"], ["Cappuccino", "Croissant"], ["Lasagna", "Tiramisu"], ["Hummus", "Quinoa"],
+                ["Borscht", "Bouillabaisse"], ["Kimchi", "Pho"], ["Tagine", "Mole"], ["Haggis", "Pierogi"]
+            ]
+        },
+        objects: {
+            name: "Objects",
+            description: "Everyday and unusual objects",
+            words: {
+                easy: ["Chair", "Table", "Book", "Telephone", "Car", "House", "Window", "Door", "Lamp", "Clock"],
+                medium: ["Computer", "Microwave", "Vacuum", "Dishwasher", "Television", "Fridge", "Sofa", "Wardrobe", "Mirror", "Painting"],
+                hard: ["Kaleidoscope", "Astrolabe", "Sextant", "Chronometer", "Barometer", "Hygrometer", "Seismograph", "Spectrometer", "Theodolite", "Planimeter"]
+            },
+            // Clue words for bots, one list per word
+            associations: {
+                "Chair": ["sit", "backrest", "legs", "wood", "dining"],
+                "Table": ["top", "legs", "dinner", "cloth", "furniture"],
+                "Book": ["read", "pages", "shelf", "author", "chapter"],
+                "Telephone": ["call", "ring", "number", "receiver", "conversation"],
+                "Car": ["drive", "wheels", "engine", "road", "petrol"],
+                "House": ["live", "roof", "walls", "garden", "family"],
+                "Window": ["glass", "view", "open", "frame", "curtain"],
+                "Door": ["handle", "key", "open", "entrance", "knock"],
+                "Lamp": ["light", "bulb", "switch", "bright", "shade"],
+                "Clock": ["time", "hands", "tick", "hour", "alarm"],
+                "Computer": ["keyboard", "screen", "mouse", "internet", "program"],
+                "Microwave": ["reheat", "kitchen", "plate", "beep", "fast"],
+                "Vacuum": ["carpet", "suck", "loud", "bag", "cleaning"],
+                "Dishwasher": ["plates", "kitchen", "rinse", "tablet", "clean"],
+                "Television": ["channel", "remote", "sofa", "series", "screen"],
+                "Fridge": ["cold", "kitchen", "groceries", "freezer", "ice-cubes"],
+                "Sofa": ["couch", "cosy", "living-room", "cushions", "lie"],
+                "Wardrobe": ["clothes", "doors", "furniture", "hangers", "Narnia"],
+                "Mirror": ["vain", "glass", "bathroom", "look", "reflect"],
+                "Painting": ["frame", "wall", "art", "painter", "canvas"],
+                "Kaleidoscope": ["pattern", "colourful", "turn", "mirrors", "toy"],
+                "Astrolabe": ["stars", "astronomy", "medieval", "brass", "navigation"],
+                "Sextant": ["seafaring", "angle", "navigation", "sun", "captain"],
+                "Chronometer": ["time", "precise", "seafaring", "clockwork", "longitude"],
+                "Barometer": ["pressure", "weather", "high", "low", "measure"],
+                "Hygrometer": ["humidity", "measure", "damp", "climate", "percent"],
+                "Seismograph": ["earthquake", "Richter", "needle", "measure", "tremor"],
+                "Spectrometer": ["light", "wavelength", "lab", "prism", "analysis"],
+                "Theodolite": ["surveying", "angle", "tripod", "surveyor", "telescope"],
+                "Planimeter": ["area", "map", "measure", "mechanics", "surveying"]
+            },
+            // Undercover mode: related words of the same difficulty; the imposter is dealt the other half
+            decoyPairs: [
+                ["Chair", "Table"], ["Window", "Door"], ["Lamp", "Clock"], ["Book", "Telephone"],
+                ["Microwave", "Fridge"], ["Vacuum", "Dishwasher"], ["Sofa", "Wardrobe"], ["Mirror", "Painting"], ["Computer", "Television"],
+                ["Barometer", "Hygrometer"], ["Sextant", "Astrolabe"], ["Theodolite", "Planimeter"], ["Kaleidoscope", "Spectrometer"]
+            ]
+        },
+        activities: {
+            name: "Activities",
+            description: "Hobbies, sports and leisure activities",
+            words: {
+                easy: ["Running", "Swimming", "Reading", "Singing", "Dancing", "Drawing", "Cooking", "Sleeping", "Eating", "Playing"],
+                medium: ["Climbing", "Surfing", "Photography", "Gardening", "Fishing", "Hiking", "Cycling", "Skiing", "Sailing", "Riding"],
+                hard: ["Falconry", "Calligraphy", "Origami", "Bonsai", "Geocaching", "Parkour", "Aikido", "Archery", "Slacklining", "Kitesurfing"]
+            },
+            // Clue words for bots, one list per word
+            associations: {
+                "Running": ["jogging", "shoes", "marathon", "fast", "park"],
+                "Swimming": ["water", "pool", "trunks", "crawl", "lido"],
+                "Reading": ["book", "pages", "library", "glasses", "story"],
+                "Singing": ["voice", "song", "choir", "microphone", "karaoke"],
+                "Dancing": ["music", "steps", "waltz", "disco", "rhythm"],
+                "Drawing": ["pencil", "sketch", "paper", "art", "eraser"],
+                "Cooking": ["stove", "pot", "recipe", "kitchen", "season"],
+                "Sleeping": ["bed", "dream", "night", "pillow", "tired"],
+                "Eating": ["hunger", "plate", "cutlery", "tasty", "meal"],
+                "Playing": ["fun", "boardgame", "dice", "children", "win"],
+                "Climbing": ["summit", "rope", "Alps", "boulder", "height"],
+                "Surfing": ["wave", "board", "beach", "sea", "wetsuit"],
+                "Photography": ["camera", "lens", "subject", "flash", "picture"],
+                "Gardening": ["flowerbed", "shovel", "plants", "watering", "weeds"],
+                "Fishing": ["fish", "rod", "bait", "lake", "patience"],
+                "Hiking": ["backpack", "mountains", "trail", "nature", "boots"],
+                "Cycling": ["bicycle", "pedals", "helmet", "saddle", "Tour"],
+                "Skiing": ["snow", "slope", "lift", "winter", "poles"],
+                "Sailing": ["boat", "wind", "mast", "lake", "course"],
+                "Riding": ["horse", "saddle", "stable", "gallop", "reins"],
+                "Falconry": ["raptor", "glove", "hunt", "falcon", "hood"],
+                "Calligraphy": ["lettering", "quill", "ink", "beautiful", "letters"],
+                "Origami": ["paper", "fold", "Japan", "crane", "art"],
+                "Bonsai": ["tree", "small", "scissors", "Japan", "patience"],
+                "Geocaching": ["GPS", "treasure", "search", "coordinates", "logbook"],
+                "Parkour": ["jump", "city", "obstacles", "wall", "acrobatics"],
+                "Aikido": ["martial-art", "Japan", "dojo", "belt", "throw"],
+                "Archery": ["arrow", "target", "bowstring", "aim", "Robin-Hood"],
+                "Slacklining": ["webbing", "balance", "trees", "wobble", "equilibrium"],
+                "Kitesurfing": ["kite", "wind", "board", "beach", "wave"]
+            },
+            // Undercover mode: related words of the same difficulty; the imposter is dealt the other half
+            decoyPairs: [
+                ["Running", "Swimming"], ["Singing", "Dancing"], ["Cooking", "Eating"], ["Reading", "Drawing"],
+                ["Surfing", "Sailing"], ["Skiing", "Climbing"], ["Hiking", "Cycling"], ["Fishing", "Gardening"],
+                ["Calligraphy", "Origami"], ["Aikido", "Parkour"], ["Slacklining", "Kitesurfing"], ["Falconry", "Archery"]
+            ]
         }
     }
 };
 
-// Game State Management
-const rooms = new Map();
-const users = new Map();
-const roomTimers = new Map();
+// Custom Word Libraries
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const CUSTOM_THEME_PREFIX = 'custom:';
+const LIBRARY_LIMITS = {
+    nameMin: 3,
+    nameMax: 40,
+    descriptionMax: 200,
+    wordMin: 2,
+    wordMax: 30,
+    minWordsPerDifficulty: 5,
+    maxWordsPerDifficulty: 200
+};
 
-class GameRoom {
-    constructor(id, name, adminId) {
-        this.id = id;
-        this.name = name;
-        this.adminId = adminId;
-        this.players = [];
-        this.gameState = 'waiting'; // waiting, playing, voting, ended
-        this.settings = {
-            maxPlayers: 10,
-            roundTime: 300, // 5 minutes
-            theme: 'animals',
-            difficulty: 'medium'
-        };
-        this.currentRound = {
-            word: null,
-            imposter: null,
-            timeRemaining: 0,
-            skipVotes: new Set(),
-            votes: new Map(),
-            startTime: null
-        };
-        this.gameHistory = [];
-    }
+// Returns { library } with trimmed values or { error, params } with a translation key
+function validateLibrary({ name, description, words }) {
+    name = typeof name === 'string' ? name.trim() : '';
+    description = typeof description === 'string' ? description.trim() : '';
     
-    addPlayer(player) {
-        if (this.players.length >= this.settings.maxPlayers) {
-            return false;
-        }
-        
-        // Check if player is already in room
-        if (this.players.find(p => p.id === player.id)) {
-            return false;
-        }
-        
-        // First player becomes admin
-        if (this.players.length === 0) {
-            player.isAdmin = true;
-            this.adminId = player.id;
-        }
-        
-        this.players.push(player);
-        return true;
+    if (name.length < LIBRARY_LIMITS.nameMin || name.length > LIBRARY_LIMITS.nameMax) {
+        return { error: 'library.nameLength', params: { min: LIBRARY_LIMITS.nameMin, max: LIBRARY_LIMITS.nameMax } };
     }
     
-    removePlayer(playerId) {
-        this.players = this.players.filter(p => p.id !== playerId);
-        
-        // If admin left, make next player admin
-        if (this.adminId === playerId && this.players.length > 0) {
-            this.players[0].isAdmin = true;
-            this.adminId = this.players[0].id;
-        }
-        
-        return this.players.length === 0; // Return true if room is empty
+    if (description.length > LIBRARY_LIMITS.descriptionMax) {
+        return { error: 'library.descriptionLength', params: { max: LIBRARY_LIMITS.descriptionMax } };
     }
     
-    startGame() {
-        if (this.players.length < 3) return false;
-        if (this.gameState !== 'waiting') return false;
-        
-        this.gameState = 'playing';
-        
-        // Select random imposter
-        const imposterIndex = Math.floor(Math.random() * this.players.length);
-        this.currentRound.imposter = this.players[imposterIndex];
-        
-        // Select random word
-        const words = wordLibraries[this.settings.theme].words[this.settings.difficulty];
-        this.currentRound.word = words[Math.floor(Math.random() * words.length)];
-        
-        // Reset round data
-        this.currentRound.timeRemaining = this.settings.roundTime;
-        this.currentRound.skipVotes.clear();
-        this.currentRound.votes.clear();
-        this.currentRound.startTime = Date.now();
-        
-        return true;
+    if (!words || typeof words !== 'object') {
+        return { error: 'library.wordsRequired' };
     }
     
-    addSkipVote(playerId) {
-        this.currentRound.skipVotes.add(playerId);
-        const needed = Math.ceil(this.players.length / 2);
+    const seen = new Set();
+    const cleanWords = {};
+    
+    for (const difficulty of DIFFICULTIES) {
+        const list = Array.isArray(words[difficulty]) ? words[difficulty] : [];
+        cleanWords[difficulty] = [];
+        
+        for (const rawWord of list) {
+            const word = typeof rawWord === 'string' ? rawWord.trim() : '';
+            
+            if (word.length < LIBRARY_LIMITS.wordMin || word.length > LIBRARY_LIMITS.wordMax) {
+                return { error: 'library.wordLength', params: { min: LIBRARY_LIMITS.wordMin, max: LIBRARY_LIMITS.wordMax, word } };
+            }
+            
+            if (seen.has(word.toLowerCase())) {
+                return { error: 'library.duplicateWord', params: { word } };
+            }
+            
+            seen.add(word.toLowerCase());
+            cleanWords[difficulty].push(word);
+        }
         
-        if (this.currentRound.skipVotes.size >= needed) {
-            this.endRound();
-            return true;
+        if (cleanWords[difficulty].length < LIBRARY_LIMITS.minWordsPerDifficulty) {
+            return { error: 'library.tooFewWords', params: { min: LIBRARY_LIMITS.minWordsPerDifficulty, difficulty } };
         }
-        return false;
-    }
-    
-    addVote(voterId, targetId) {
-        this.currentRound.votes.set(voterId, targetId);
         
-        if (this.currentRound.votes.size === this.players.length) {
-            return this.endGame();
+        if (cleanWords[difficulty].length > LIBRARY_LIMITS.maxWordsPerDifficulty) {
+            return { error: 'library.tooManyWords', params: { max: LIBRARY_LIMITS.maxWordsPerDifficulty, difficulty } };
         }
-        return null;
     }
     
-    endRound() {
-        this.gameState = 'voting';
-        this.currentRound.timeRemaining = 60; // 1 minute for voting
-    }
+    return { library: { name, description, words: cleanWords } };
+}
+
+// CSV format: one "difficulty,word" pair per line, optional header line
+function parseLibraryCsv(text) {
+    const words = { easy: [], medium: [], hard: [] };
     
-    endGame() {
-        this.gameState = 'ended';
-        
-        // Count votes
-        const voteCount = new Map();
-        this.currentRound.votes.forEach(targetId => {
-            voteCount.set(targetId, (voteCount.get(targetId) || 0) + 1);
-        });
+    text.split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf(',');
+        if (separator === -1) return;
         
-        // Find most voted player
-        let mostVoted = null;
-        let maxVotes = 0;
+        const difficulty = line.slice(0, separator).trim().toLowerCase();
+        const word = line.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1').replace(/""/g, '"');
         
-        voteCount.forEach((votes, playerId) => {
-            if (votes > maxVotes) {
-                maxVotes = votes;
-                mostVoted = this.players.find(p => p.id === playerId);
-            }
+        if (words[difficulty]) {
+            words[difficulty].push(word);
+        }
+    });
+    
+    return words;
+}
+
+function toLibraryCsv(library) {
+    const lines = ['difficulty,word'];
+    
+    DIFFICULTIES.forEach(difficulty => {
+        library.words[difficulty].forEach(word => {
+            const escaped = /[",]/.test(word) ? `"${word.replace(/"/g, '""')}"` : word;
+            lines.push(`${difficulty},${escaped}`);
         });
+    });
+    
+    return lines.join('\n');
+}
+
+async function loadCustomLibrary(libraryId) {
+    const library = await dbGet('SELECT * FROM word_libraries WHERE id = ?', [libraryId]);
+    if (!library) return null;
+    
+    const rows = await dbAll('SELECT difficulty, word FROM library_words WHERE library_id = ? ORDER BY id', [libraryId]);
+    const words = { easy: [], medium: [], hard: [] };
+    rows.forEach(row => {
+        if (words[row.difficulty]) words[row.difficulty].push(row.word);
+    });
+    
+    return {
+        id: library.id,
+        ownerId: library.owner_id,
+        name: library.name,
+        description: library.description,
+        words: words,
+        createdAt: library.created_at,
+        updatedAt: library.updated_at
+    };
+}
+
+// Replaces the words in one transaction. Callbacks fire in order, so once the insert is finalized
+// every failed statement has reported and a half-written library is rolled back, not committed.
+function saveLibraryWords(libraryId, words) {
+    return new Promise((resolve, reject) => {
+        let failure = null;
+        const track = (err) => {
+            if (err && !failure) failure = err;
+        };
+        const rollback = (err) => db.run('ROLLBACK', () => reject(err));
         
-        const imposterWon = !mostVoted || mostVoted.id !== this.currentRound.imposter.id;
-        
-        this.gameHistory.push({
-            word: this.currentRound.word,
-            imposter: this.currentRound.imposter,
-            votedOut: mostVoted,
-            imposterWon: imposterWon,
-            players: [...this.players],
-            timestamp: new Date()
+        db.serialize(() => {
+            db.run('BEGIN TRANSACTION', track);
+            db.run('DELETE FROM library_words WHERE library_id = ?', [libraryId], track);
+            
+            const insert = db.prepare('INSERT INTO library_words (library_id, difficulty, word) VALUES (?, ?, ?)', track);
+            DIFFICULTIES.forEach(difficulty => {
+                words[difficulty].forEach(word => insert.run(libraryId, difficulty, word, track));
+            });
+            insert.finalize((err) => {
+                track(err);
+                if (failure) return rollback(failure);
+                
+                db.run('COMMIT', (commitError) => commitError ? rollback(commitError) : resolve());
+            });
         });
-        
-        // Update player stats
-        this.updatePlayerStats(imposterWon, mostVoted);
-        
-        return {
-            word: this.currentRound.word,
-            imposter: this.currentRound.imposter,
-            votedOut: mostVoted,
-            imposterWon: imposterWon
+    });
+}
+
+// Writes a match and its players in one transaction, the same way saveLibraryWords does,
+// so a match is listed for all of its players or not at all. Resolves to the match id.
+function insertMatch(matchRow, playerRows) {
+    return new Promise((resolve, reject) => {
+        let failure = null;
+        const track = (err) => {
+            if (err && !failure) failure = err;
         };
-    }
-    
-    updatePlayerStats(imposterWon, votedOut) {
-        this.players.forEach(player => {
-            const isImposter = player.id === this.currentRound.imposter.id;
-            const won = isImposter ? imposterWon : !imposterWon;
-            
-            // Update database
-            db.get('SELECT * FROM user_stats WHERE user_id = ?', [player.id], (err, row) => {
-                if (err) {
-                    console.error('Database error:', err);
-                    return;
-                }
+        const rollback = (err) => db.run('ROLLBACK', () => reject(err));
+        
+        db.serialize(() => {
+            db.run('BEGIN TRANSACTION', track);
+            db.run(`INSERT INTO matches 
+                (room_id, room_name, theme, theme_name, difficulty, word, winner, voted_out_id, duration, details, started_at, ended_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`, matchRow, function(err) {
+                track(err);
+                if (failure) return rollback(failure);
                 
-                if (!row) {
-                    db.run('INSERT INTO user_stats (user_id, games_played, games_won, times_imposter, times_caught_imposter) VALUES (?, 1, ?, ?, ?)', 
-                        [player.id, won ? 1 : 0, isImposter ? 1 : 0, (isImposter && votedOut && votedOut.id === player.id) ? 1 : 0]);
-                } else {
-                    const newStats = {
-                        games_played: row.games_played + 1,
-                        games_won: row.games_won + (won ? 1 : 0),
-                        times_imposter: row.times_imposter + (isImposter ? 1 : 0),
-                        times_caught_imposter: row.times_caught_imposter + (isImposter && votedOut && votedOut.id === player.id ? 1 : 0)
-                    };
-                    
-                    db.run(`UPDATE user_stats SET 
-                        games_played = ?, games_won = ?, times_imposter = ?, times_caught_imposter = ?
-                        WHERE user_id = ?`, 
-                        [newStats.games_played, newStats.games_won, newStats.times_imposter, newStats.times_caught_imposter, player.id]
-                    );
-                }
+                const matchId = this.lastID;
+                db.serialize(() => {
+                    const insert = db.prepare(`INSERT INTO match_players (match_id, player_id, user_id, username, role, voted_for, won)
+                        VALUES (?, ?, ?, ?, ?, ?, ?)`, track);
+                    playerRows.forEach(row => insert.run(matchId, ...row, track));
+                    insert.finalize((finalizeError) => {
+                        track(finalizeError);
+                        if (failure) return rollback(failure);
+                        
+                        db.run('COMMIT', (commitError) => commitError ? rollback(commitError) : resolve(matchId));
+                    });
+                });
             });
         });
-    }
+    });
+}
+
+async function createCustomLibrary(ownerId, library) {
+    const result = await dbRun('INSERT INTO word_libraries (owner_id, name, description) VALUES (?, ?, ?)',
+        [ownerId, library.name, library.description]);
+    await saveLibraryWords(result.lastID, library.words);
+    return loadCustomLibrary(result.lastID);
+}
+
+// The other half of the decoy pair a word belongs to, null if it has none (custom libraries)
+function getDecoy(library, word) {
+    const pair = (library.decoyPairs || []).find(entry => entry.includes(word));
+    return pair ? pair.find(entry => entry !== word) : null;
+}
+
+// Word Matching
+// Folds case, umlauts, ß, accents and separators so "Aye-Aye", "aye aye" and "AYEAYE" compare equal
+function normalizeWord(word) {
+    return String(word)
+        .toLowerCase()
+        .replace(/ä/g, 'ae')
+        .replace(/ö/g, 'oe')
+        .replace(/ü/g, 'ue')
+        .replace(/ß/g, 'ss')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+function levenshtein(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
     
-    resetGame() {
-        this.gameState = 'waiting';
-        this.currentRound = {
-            word: null,
-            imposter: null,
-            timeRemaining: 0,
-            skipVotes: new Set(),
-            votes: new Map(),
-            startTime: null
-        };
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
     }
     
-    toJSON() {
-        return {
-            id: this.id,
-            name: this.name,
-            players: this.players,
-            gameState: this.gameState,
-            settings: this.settings,
-            currentRound: {
-                timeRemaining: this.currentRound.timeRemaining,
-                skipVotes: this.currentRound.skipVotes.size,
-                skipNeeded: Math.ceil(this.players.length / 2)
-            }
-        };
-    }
+    return previous[b.length];
 }
 
-// API Routes
-app.post('/api/register', async (req, res) => {
-    try {
-        const { username, password } = req.body;
-        
-        if (!username || !password) {
-            return res.status(400).json({ error: 'Username und Passwort sind erforderlich' });
+// Allows one typo for longer words, though not in the first letter ("regeln" is not "Segeln")
+function wordsMatch(guess, word) {
+    const a = normalizeWord(guess);
+    const b = normalizeWord(word);
+    
+    if (!a || !b) return false;
+    if (a === b) return true;
+    return b.length >= 5 && a[0] === b[0] && levenshtein(a, b) <= 1;
+}
+
+// Chat safeguards
+// German inflection endings, so "Giraffen" or "Äpfel" still count as the secret word
+const WORD_SUFFIXES = ['', 'e', 'n', 'en', 'er', 'ern', 's', 'es', 'nen'];
+// Short words only take plural endings, "Ei" must not match "ein" or "Eis"
+const SHORT_WORD_SUFFIXES = ['', 'e', 'en', 'er'];
+
+function stripUmlautPlural(word) {
+    return word.replace(/ae/g, 'a').replace(/oe/g, 'o').replace(/ue/g, 'u');
+}
+
+// Runs of single letters are joined back together, so "H u n d" reads as "hund"
+function tokenizeChat(text) {
+    const tokens = [];
+    let letters = '';
+    
+    String(text).split(/[\s.,;:!?()"'\/-]+/).forEach(part => {
+        if (part.length === 1) {
+            letters += part;
+            return;
+        }
+        if (letters.length > 1) tokens.push(letters);
+        letters = '';
+        tokens.push(part);
+    });
+    if (letters.length > 1) tokens.push(letters);
+    
+    return tokens.map(normalizeWord).filter(Boolean);
+}
+
+// True if any word of the text spells the word, allowing inflections, typos and spaced-out letters.
+// Words made of several parts ("Aye-Aye") are compared against as many neighbouring chat words.
+function containsWord(text, word) {
+    const target = normalizeWord(word);
+    if (!target) return false;
+    
+    const tokens = tokenizeChat(text);
+    const parts = tokenizeChat(word).length;
+    const candidates = parts > 1
+        ? [...tokens, ...tokens.slice(0, tokens.length - parts + 1).map((token, i) => tokens.slice(i, i + parts).join(''))]
+        : tokens;
+    
+    // The cut-off looks at the folded stem, so "Kuh" still catches "Kühe"
+    const stem = stripUmlautPlural(target);
+    const suffixes = stem.length < 4 ? SHORT_WORD_SUFFIXES : WORD_SUFFIXES;
+    
+    return candidates.some(token => {
+        if (wordsMatch(token, word)) return true;
+        
+        return suffixes.some(suffix => token.endsWith(suffix) &&
+            stripUmlautPlural(token.slice(0, token.length - suffix.length)) === stem);
+    });
+}
+
+const chatActivity = new Map(); // userId -> { sentAt: [], lastMessage, offenses: [] }
+
+function getChatActivity(userId) {
+    if (!chatActivity.has(userId)) {
+        chatActivity.set(userId, { sentAt: [], lastMessage: null, offenses: [] });
+    }
+    return chatActivity.get(userId);
+}
+
+// Runs a chat message through all safeguards; returns { reason, key, params } when it must not be sent
+function checkChatMessage(room, userId, text) {
+    const muteRemaining = room.getMuteRemaining(userId);
+    if (muteRemaining > 0) {
+        return { reason: 'muted', key: 'chat.muted', params: { seconds: muteRemaining } };
+    }
+    
+    const activity = getChatActivity(userId);
+    const now = Date.now();
+    activity.sentAt = activity.sentAt.filter(time => now - time < CHAT_RATE_WINDOW);
+    
+    if (activity.sentAt.length >= CHAT_RATE_LIMIT) {
+        return { reason: 'rateLimit', key: 'chat.rateLimit' };
+    }
+    
+    if (activity.lastMessage === normalizeWord(text) && normalizeWord(text) !== '') {
+        return { reason: 'duplicate', key: 'chat.duplicate' };
+    }
+    
+    if (CHAT_BLOCKLIST.some(blocked => containsWord(text, blocked))) {
+        return { reason: 'blocked', key: 'chat.blocked' };
+    }
+    
+    // Players may not spell the word they were dealt; spectator chat never reaches the players
+    const inRound = !['waiting', 'ended'].includes(room.gameState);
+    const dealtWord = room.getPlayer(userId) ? room.getDealtWord(userId) : null;
+    if (inRound && dealtWord && containsWord(text, dealtWord)) {
+        return { reason: 'leak', key: 'chat.leak' };
+    }
+    
+    activity.sentAt.push(now);
+    activity.lastMessage = normalizeWord(text);
+    return null;
+}
+
+// Returns true when the offense pushed the user over the limit and they should be muted
+function recordChatOffense(userId) {
+    const activity = getChatActivity(userId);
+    const now = Date.now();
+    activity.offenses = activity.offenses.filter(time => now - time < CHAT_OFFENSE_WINDOW);
+    activity.offenses.push(now);
+    
+    if (activity.offenses.length >= CHAT_OFFENSES_BEFORE_MUTE) {
+        activity.offenses = [];
+        return true;
+    }
+    return false;
+}
+
+// Entries of users who have gone quiet would otherwise pile up forever
+setInterval(() => {
+    const now = Date.now();
+    chatActivity.forEach((activity, userId) => {
+        const rateExpired = activity.sentAt.every(time => now - time >= CHAT_RATE_WINDOW);
+        const offensesExpired = activity.offenses.every(time => now - time >= CHAT_OFFENSE_WINDOW);
+        if (rateExpired && offensesExpired) chatActivity.delete(userId);
+    });
+}, CHAT_OFFENSE_WINDOW).unref();
+
+// Bots
+// Used when a library has no associations (custom libraries) or all of them are taken
+const BOT_FALLBACK_CLUES = {
+    de: ['typisch', 'bekannt', 'alltäglich', 'besonders', 'praktisch', 'beliebt'],
+    en: ['typical', 'familiar', 'everyday', 'special', 'practical', 'popular']
+};
+const BOT_CHAT_LINES = ['bot.chat1', 'bot.chat2', 'bot.chat3', 'bot.chat4', 'bot.chat5'];
+
+function randomItem(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+function randomDelay([min, max]) {
+    return min + Math.random() * (max - min);
+}
+
+function getAssociations(room, word) {
+    const library = room.getLibrary();
+    return (library && library.associations && library.associations[word]) || [];
+}
+
+function clueFitsWord(room, clue, word) {
+    return getAssociations(room, word).some(association => normalizeWord(association) === normalizeWord(clue));
+}
+
+// The library word that explains most of the other players' clues; how imposter bots bluff and guess
+function guessWordFromClues(room, bot) {
+    const library = room.getLibrary();
+    const words = library ? library.words[room.settings.difficulty] : [];
+    const knownImposters = room.settings.revealPartners ? room.currentRound.imposters.map(p => p.id) : [bot.id];
+    const clues = room.currentRound.clues.filter(c => !c.skipped && !knownImposters.includes(c.playerId));
+    
+    let best = [];
+    let bestScore = -1;
+    words.forEach(word => {
+        const score = clues.filter(c => clueFitsWord(room, c.clue, word)).length;
+        if (score > bestScore) {
+            best = [word];
+            bestScore = score;
+        } else if (score === bestScore) {
+            best.push(word);
+        }
+    });
+    
+    return best.length > 0 ? randomItem(best) : null;
+}
+
+// Undercover imposter bots play their decoy word like a crew bot would
+function pickBotClue(room, bot) {
+    const isImposter = room.knowsImposterRole(bot.id);
+    const word = isImposter ? guessWordFromClues(room, bot) : room.getDealtWord(bot.id);
+    const used = room.currentRound.clues.filter(c => !c.skipped).map(c => normalizeWord(c.clue));
+    
+    const options = getAssociations(room, word).filter(association => !used.includes(normalizeWord(association)) &&
+        (isImposter || !containsWord(association, word)));
+    return options.length > 0 ? randomItem(options) : randomItem(BOT_FALLBACK_CLUES[room.settings.language]);
+}
+
+// Crew bots suspect players whose clue does not fit the word, imposter bots join the crowd against the crew
+function pickBotVote(room, bot) {
+    const isImposter = room.knowsImposterRole(bot.id);
+    const word = room.getDealtWord(bot.id);
+    let candidates = room.getVoteCandidates().filter(p => p.id !== bot.id);
+    if (isImposter && room.settings.revealPartners) {
+        candidates = candidates.filter(p => !room.isImposter(p.id));
+    }
+    if (candidates.length === 0) return null;
+    
+    const votesFor = (playerId) => [...room.currentRound.votes.values()].filter(targetId => targetId === playerId).length;
+    const canJudgeClues = !isImposter && getAssociations(room, word).length > 0;
+    
+    const suspicion = (player) => {
+        let score = Math.random() + votesFor(player.id) * 0.5;
+        const clue = room.currentRound.clues.find(c => c.playerId === player.id);
+        
+        if (clue && clue.skipped) score += 1;
+        if (clue && !clue.skipped && canJudgeClues && !clueFitsWord(room, clue.clue, word)) score += 2;
+        return score;
+    };
+    
+    return candidates
+        .map(player => ({ id: player.id, score: suspicion(player) }))
+        .sort((a, b) => b.score - a.score)[0].id;
+}
+
+function pickBotChatLine(room, bot) {
+    const word = room.getDealtWord(bot.id);
+    if (!room.knowsImposterRole(bot.id) && getAssociations(room, word).length > 0) {
+        const odd = room.currentRound.clues.find(c => c.playerId !== bot.id && !c.skipped &&
+            !clueFitsWord(room, c.clue, word));
+        if (odd) return translate(room.settings.language, 'bot.oddClue', { username: odd.username });
+    }
+    return translate(room.settings.language, randomItem(BOT_CHAT_LINES));
+}
+
+// Elo expectation of winning against an opponent rating
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// Rating after one game against the average rating of the other side
+function updatedRating(rating, opponentRating, won) {
+    return Math.round(rating + RATING_K_FACTOR * ((won ? 1 : 0) - expectedScore(rating, opponentRating)));
+}
+
+// Automatic imposter count by room size (first matching step wins)
+const IMPOSTER_AUTO_STEPS = [
+    { minPlayers: 9, imposters: 3 },
+    { minPlayers: 6, imposters: 2 },
+    { minPlayers: 0, imposters: 1 }
+];
+
+// Room lifecycle: the phases each phase may move on to. Clue turns and runoff votes
+// re-enter their own phase with a fresh deadline; in elimination mode a vote that
+// hits an innocent player leads back to clues or discussion.
+const PHASE_TRANSITIONS = {
+    waiting: ['clues', 'playing'],
+    clues: ['clues', 'playing'],
+    playing: ['playing', 'voting'],
+    voting: ['voting', 'clues', 'playing', 'guessing', 'ended'],
+    guessing: ['ended'],
+    ended: ['waiting']
+};
+const PAUSABLE_PHASES = ['clues', 'playing', 'voting', 'guessing'];
+
+// Achievements: checked for every account player after each finished game, in this order.
+// check() gets the player's part in the round, the round itself and the player's match
+// history ({ theme, difficulty, role, won }, newest first, the finished game included).
+const ACHIEVEMENTS = [
+    { id: 'firstWin', icon: '🏅', check: ({ player }) => player.won },
+    { id: 'hardWin', icon: '💪', check: ({ player, round }) => player.won && round.difficulty === 'hard' },
+    { id: 'unanimousCatch', icon: '🎯', check: ({ player, round }) => !player.isImposter && player.won && round.unanimous },
+    { id: 'wordThief', icon: '🕵️', check: ({ player }) => player.wonByGuess },
+    {
+        id: 'imposterStreak',
+        icon: '🎭',
+        check: ({ history }) => {
+            const games = history.filter(match => match.role === 'imposter').slice(0, 5);
+            return games.length === 5 && games.every(match => match.won);
+        }
+    },
+    {
+        id: 'allThemes',
+        icon: '🌍',
+        check: ({ history }) => Object.keys(wordLibraries.de).every(theme => history.some(match => match.theme === theme))
+    },
+    { id: 'veteran', icon: '🎖️', check: ({ history }) => history.length >= 50 }
+];
+
+// Game State Management
+const rooms = new Map();
+const users = new Map();
+const roomTimers = new Map();
+const disconnectTimers = new Map();
+const botTimers = new Map(); // roomId -> Set of pending bot actions
+
+// Counters behind /metrics; gauges are read from the live state on every scrape
+const metrics = {
+    gamesStarted: 0,
+    gamesFinished: 0,
+    roundSeconds: 0, // summed over all finished games
+    chatMessages: 0,
+    recentChat: [], // timestamps within CHAT_METRIC_WINDOW, for the per-second rate
+    authFailures: { login: 0, token: 0, socket: 0 }
+};
+
+function countChatMessage() {
+    const now = Date.now();
+    metrics.chatMessages++;
+    metrics.recentChat.push(now);
+    while (metrics.recentChat[0] <= now - CHAT_METRIC_WINDOW) metrics.recentChat.shift();
+}
+
+class GameRoom {
+    constructor(id, name, adminId, language = DEFAULT_LOCALE) {
+        this.id = id;
+        this.name = name;
+        this.adminId = adminId;
+        this.players = [];
+        this.gameState = 'waiting'; // waiting, clues, playing, voting, guessing, ended
+        this.settings = {
+            maxPlayers: 10,
+            roundTime: 300, // 5 minutes
+            theme: 'animals',
+            difficulty: 'medium',
+            imposterCount: 'auto', // 'auto' or a fixed number
+            revealPartners: true,
+            cluePhase: false,
+            clueTime: 30, // seconds per clue turn
+            voteTime: 60,
+            tieRule: 'runoff', // runoff, none
+            allowSelfVote: false,
+            imposterGuess: true, // a caught imposter may guess the word to steal the win
+            guessTime: 30,
+            elimination: false, // innocents voted out become ghosts and the round goes on
+            undercover: false, // imposters are dealt a related decoy word and are not told their role
+            drawing: false, // players take turns drawing their word before the discussion
+            drawTime: 45, // seconds per drawing turn
+            language: language // picks the built-in libraries and the language of system messages
+        };
+        this.customLibrary = null; // loaded when settings.theme is 'custom:<id>'
+        this.currentRound = {
+            word: null,
+            decoy: null, // undercover mode only
+            imposters: [],
+            roster: [], // { id, username, isBot, isGuest } of everyone dealt into the round
+            deadline: null, // epoch ms at which the current phase times out
+            skipVotes: new Set(),
+            votes: new Map(), // voterId -> targetId, null for abstain
+            ballots: [], // { cycle, runoff, votes: [{ voterId, targetId }] } of every resolved vote
+            runoffCandidates: null,
+            turnOrder: [],
+            currentTurn: 0,
+            clues: [],
+            guess: null, // { playerId, username, guess, correct }
+            chat: [], // player chat of this round, persisted with the match
+            startTime: null,
+            pausedRemaining: null, // ms left on the deadline while the admin has paused the round
+            cycle: 1, // clue/discussion/vote cycles played, more than one only in elimination mode
+            eliminated: [], // { playerId, username, cycle } of the ghosts
+            ghostChat: [],
+            drawOrder: [],
+            drawTurn: 0,
+            drawings: [] // { playerId, username, cycle, strokes: [{ id, color, width, points, ink }] }
+        };
+        this.gameHistory = [];
+        this.chatLog = [];
+        this.spectators = [];
+        this.spectatorChatLog = [];
+        this.visibility = 'public'; // public (listed in the lobby), unlisted, private (password required)
+        this.passwordHash = null;
+        this.locked = false; // locked rooms take no new players or spectators
+        this.bannedUsers = new Map(); // userId -> username, may not rejoin this room
+        this.mutedUntil = new Map(); // userId -> epoch ms until which chat messages are refused
+        this.invites = new Map(); // inviteId -> { createdBy, expiresAt, maxUses, uses }
+    }
+    
+    getPlayer(playerId) {
+        return this.players.find(p => p.id === playerId);
+    }
+    
+    getSpectator(userId) {
+        return this.spectators.find(s => s.id === userId);
+    }
+    
+    // Spectators never count toward maxPlayers, skip votes or voting totals
+    addSpectator(spectator) {
+        if (this.spectators.length >= MAX_SPECTATORS) return false;
+        if (this.getPlayer(spectator.id) || this.getSpectator(spectator.id)) return false;
+        
+        this.spectators.push(spectator);
+        return true;
+    }
+    
+    removeSpectator(userId) {
+        this.spectators = this.spectators.filter(s => s.id !== userId);
+    }
+    
+    // Returns an error key, or null once the spectator has a seat for the next round
+    promoteSpectator(userId) {
+        const spectator = this.getSpectator(userId);
+        if (!spectator) return 'error.spectatorNotFound';
+        if (this.gameState !== 'waiting') return 'error.promoteBetweenRounds';
+        
+        if (!this.addPlayer({ id: spectator.id, username: spectator.username, socketId: spectator.socketId, isAdmin: false, isGuest: spectator.isGuest, badges: spectator.badges })) {
+            return 'error.roomFull';
+        }
+        
+        this.removeSpectator(userId);
+        return null;
+    }
+    
+    // The link itself is a signed token (see signInvite); the room counts how often it was used
+    addInvite(createdBy) {
+        const now = Date.now();
+        this.invites.forEach((invite, id) => {
+            if (invite.expiresAt <= now) this.invites.delete(id);
+        });
+        
+        const id = crypto.randomBytes(8).toString('hex');
+        const invite = { createdBy, expiresAt: now + INVITE_TTL * 1000, maxUses: INVITE_MAX_USES, uses: 0 };
+        this.invites.set(id, invite);
+        return { id, ...invite };
+    }
+    
+    // Returns an error key, or null while the invite may still be used
+    checkInvite(inviteId) {
+        const invite = this.invites.get(inviteId);
+        if (!invite) return 'error.inviteInvalid';
+        if (invite.expiresAt <= Date.now()) return 'error.inviteExpired';
+        if (invite.uses >= invite.maxUses) return 'error.inviteUsedUp';
+        return null;
+    }
+    
+    redeemInvite(inviteId) {
+        this.invites.get(inviteId).uses++;
+    }
+    
+    // Seats a bot under the first free name; returns the bot or null if the room is full
+    addBot() {
+        const name = BOT_NAMES.find(n => !this.players.some(p => p.username === `Bot ${n}`));
+        if (!name) return null;
+        
+        const bot = {
+            id: `bot:${BOT_NAMES.indexOf(name) + 1}`,
+            username: `Bot ${name}`,
+            socketId: null,
+            isAdmin: false,
+            isBot: true
+        };
+        return this.addPlayer(bot) ? bot : null;
+    }
+    
+    hasHumanPlayers() {
+        return this.players.some(p => !p.isBot);
+    }
+    
+    addPlayer(player) {
+        if (this.players.length >= this.settings.maxPlayers) {
+            return false;
+        }
+        
+        // Check if player is already in room
+        if (this.players.find(p => p.id === player.id)) {
+            return false;
+        }
+        
+        // First player becomes admin
+        if (this.players.length === 0) {
+            player.isAdmin = true;
+            this.adminId = player.id;
+        }
+        
+        player.connected = true;
+        this.players.push(player);
+        return true;
+    }
+    
+    // Hands admin rights to another seated player
+    transferAdmin(playerId) {
+        const player = this.getPlayer(playerId);
+        if (!player || player.isBot) return false;
+        
+        this.players.forEach(p => { p.isAdmin = p.id === playerId; });
+        this.adminId = playerId;
+        return true;
+    }
+    
+    banUser(userId, username) {
+        this.bannedUsers.set(userId, username);
+    }
+    
+    isBanned(userId) {
+        return this.bannedUsers.has(userId);
+    }
+    
+    // A duration of 0 lifts the mute
+    muteUser(userId, seconds) {
+        if (seconds > 0) {
+            this.mutedUntil.set(userId, Date.now() + seconds * 1000);
+        } else {
+            this.mutedUntil.delete(userId);
+        }
+    }
+    
+    // Seconds left on the mute, 0 when the user may chat
+    getMuteRemaining(userId) {
+        const until = this.mutedUntil.get(userId);
+        if (!until) return 0;
+        
+        if (until <= Date.now()) {
+            this.mutedUntil.delete(userId);
+            return 0;
+        }
+        return Math.ceil((until - Date.now()) / 1000);
+    }
+    
+    // Re-keys everything the room knows about a user; used when a guest registers mid-session
+    replaceUser(oldId, newId, username) {
+        const player = this.getPlayer(oldId);
+        const spectator = this.getSpectator(oldId);
+        if (!player && !spectator) return false;
+        
+        const swap = id => id === oldId ? newId : id;
+        const round = this.currentRound;
+        
+        // Imposters may be copies of the player objects after a restore
+        [player, spectator, ...round.imposters, ...round.roster].forEach(entry => {
+            if (!entry || entry.id !== oldId) return;
+            entry.id = newId;
+            entry.username = username;
+            entry.isGuest = false;
+        });
+        [...round.clues, ...round.eliminated, round.guess].forEach(entry => {
+            if (!entry || entry.playerId !== oldId) return;
+            entry.playerId = newId;
+            entry.username = username;
+        });
+        
+        this.adminId = swap(this.adminId);
+        round.turnOrder = round.turnOrder.map(swap);
+        if (round.runoffCandidates) round.runoffCandidates = round.runoffCandidates.map(swap);
+        if (round.skipVotes.delete(oldId)) round.skipVotes.add(newId);
+        round.votes = new Map([...round.votes].map(([voterId, targetId]) => [swap(voterId), swap(targetId)]));
+        round.ballots.forEach(ballot => {
+            ballot.votes = ballot.votes.map(vote => ({ voterId: swap(vote.voterId), targetId: swap(vote.targetId) }));
+        });
+        
+        if (this.mutedUntil.has(oldId)) {
+            this.mutedUntil.set(newId, this.mutedUntil.get(oldId));
+            this.mutedUntil.delete(oldId);
+        }
+        return true;
+    }
+    
+    setPlayerConnected(playerId, connected, socketId) {
+        const player = this.getPlayer(playerId);
+        if (!player) return null;
+        
+        player.connected = connected;
+        if (socketId) player.socketId = socketId;
+        return player;
+    }
+    
+    addChatMessage(message, log = this.chatLog) {
+        log.push(message);
+        if (log.length > CHAT_HISTORY_LIMIT) {
+            log.shift();
+        }
+        
+        if (log === this.chatLog && this.gameState !== 'waiting' && this.gameState !== 'ended') {
+            this.currentRound.chat.push(message);
+        }
+    }
+    
+    removePlayer(playerId) {
+        this.players = this.players.filter(p => p.id !== playerId);
+        
+        // If admin left, make next human player admin
+        const nextAdmin = this.players.find(p => !p.isBot);
+        if (this.adminId === playerId && nextAdmin) {
+            nextAdmin.isAdmin = true;
+            this.adminId = nextAdmin.id;
+        }
+        
+        return !this.hasHumanPlayers(); // Return true if only bots (or nobody) are left
+    }
+    
+    getLibrary() {
+        if (this.settings.theme.startsWith(CUSTOM_THEME_PREFIX)) {
+            return this.customLibrary;
+        }
+        return wordLibraries[this.settings.language][this.settings.theme];
+    }
+    
+    startGame() {
+        if (this.players.length < 3) return false;
+        if (this.gameState !== 'waiting') return false;
+        
+        const library = this.getLibrary();
+        if (!library) return false;
+        
+        // Select random imposters
+        const shuffled = [...this.players].sort(() => Math.random() - 0.5);
+        this.currentRound.imposters = shuffled.slice(0, this.getImposterCount());
+        
+        // Select random word
+        const words = this.getPlayableWords();
+        if (words.length === 0) return false;
+        this.currentRound.word = words[Math.floor(Math.random() * words.length)];
+        this.currentRound.decoy = this.settings.undercover ? getDecoy(library, this.currentRound.word) : null;
+        
+        // Reset round data
+        this.currentRound.roster = this.players.map(p => ({ id: p.id, username: p.username, isBot: !!p.isBot, isGuest: !!p.isGuest }));
+        this.currentRound.skipVotes.clear();
+        this.currentRound.votes.clear();
+        this.currentRound.ballots = [];
+        this.currentRound.runoffCandidates = null;
+        this.currentRound.clues = [];
+        this.currentRound.guess = null;
+        this.currentRound.chat = [];
+        this.currentRound.startTime = Date.now();
+        this.currentRound.cycle = 1;
+        this.currentRound.eliminated = [];
+        this.currentRound.ghostChat = [];
+        this.currentRound.drawings = [];
+        
+        this.startCycle();
+        return true;
+    }
+    
+    // Clue turns (if enabled) and discussion for everyone still alive
+    startCycle() {
+        if (this.settings.cluePhase) {
+            this.currentRound.turnOrder = this.getAlivePlayers().sort(() => Math.random() - 0.5).map(p => p.id);
+            this.currentRound.currentTurn = 0;
+            this.transition('clues', this.settings.clueTime);
+        } else {
+            this.startDiscussion();
+        }
+    }
+    
+    // Undercover mode can only deal words that have a decoy
+    getPlayableWords() {
+        const library = this.getLibrary();
+        if (!library) return [];
+        
+        const words = library.words[this.settings.difficulty];
+        if (!this.settings.undercover) return words;
+        return words.filter(word => getDecoy(library, word));
+    }
+    
+    // The word a player was dealt: the decoy for undercover imposters, nothing for the others
+    getDealtWord(playerId) {
+        return this.isImposter(playerId) ? this.currentRound.decoy : this.currentRound.word;
+    }
+    
+    // Undercover imposters do not know their role
+    knowsImposterRole(playerId) {
+        return this.isImposter(playerId) && !this.currentRound.decoy;
+    }
+    
+    isEliminated(playerId) {
+        return this.currentRound.eliminated.some(entry => entry.playerId === playerId);
+    }
+    
+    getAlivePlayers() {
+        return this.players.filter(p => !this.isEliminated(p.id));
+    }
+    
+    // Elimination mode: the innocent player voted out becomes a ghost. Returns true while
+    // enough players are alive for another cycle, which has then started.
+    eliminatePlayer(player) {
+        const round = this.currentRound;
+        round.eliminated.push({ playerId: player.id, username: player.username, cycle: round.cycle });
+        if (this.getAlivePlayers().length <= ELIMINATION_MIN_PLAYERS) return false;
+        
+        round.cycle++;
+        round.skipVotes.clear();
+        round.votes.clear();
+        round.runoffCandidates = null;
+        this.startCycle();
+        return true;
+    }
+    
+    // In drawing mode everyone alive draws in turn before the open discussion
+    startDiscussion() {
+        if (this.settings.drawing) {
+            this.currentRound.drawOrder = this.getAlivePlayers().sort(() => Math.random() - 0.5).map(p => p.id);
+            this.currentRound.drawTurn = -1;
+            this.nextDrawTurn();
+        } else {
+            this.transition('playing', this.settings.roundTime);
+        }
+    }
+    
+    getDrawerId() {
+        if (this.gameState !== 'playing') return null;
+        return this.currentRound.drawOrder[this.currentRound.drawTurn] || null;
+    }
+    
+    getCurrentDrawing() {
+        const drawerId = this.getDrawerId();
+        const drawings = this.currentRound.drawings;
+        if (!drawerId || drawings.length === 0) return null;
+        return drawings[drawings.length - 1];
+    }
+    
+    getInkUsed() {
+        const drawing = this.getCurrentDrawing();
+        return drawing ? drawing.strokes.reduce((total, stroke) => total + stroke.ink, 0) : 0;
+    }
+    
+    // Hands the canvas to the next drawer, or opens the discussion once everyone has drawn.
+    // Returns the new drawer's id or null; a drawing left empty is dropped.
+    nextDrawTurn() {
+        const round = this.currentRound;
+        const finished = this.getCurrentDrawing();
+        if (finished && finished.strokes.length === 0) round.drawings.pop();
+        
+        round.drawTurn++;
+        const drawerId = round.drawOrder[round.drawTurn];
+        if (!drawerId) {
+            this.transition('playing', this.settings.roundTime);
+            return null;
+        }
+        
+        const player = this.getPlayer(drawerId);
+        round.drawings.push({ playerId: drawerId, username: player ? player.username : '?', cycle: round.cycle, strokes: [] });
+        this.transition('playing', this.settings.drawTime);
+        return drawerId;
+    }
+    
+    // Adds a normalized chunk to the current drawing; returns an error key or null.
+    // Chunks of the line in progress share its id and are merged into one stroke.
+    addStroke(playerId, chunk) {
+        const drawing = this.getCurrentDrawing();
+        if (!drawing || drawing.playerId !== playerId) return 'error.notYourDrawTurn';
+        
+        const last = drawing.strokes[drawing.strokes.length - 1];
+        const continues = !!last && last.id === chunk.id;
+        const points = drawing.strokes.reduce((total, stroke) => total + stroke.points.length, 0);
+        if (!continues && drawing.strokes.length >= DRAWING_MAX_STROKES) return 'error.inkExhausted';
+        if (points + chunk.points.length > DRAWING_MAX_TOTAL_POINTS) return 'error.inkExhausted';
+        if (this.getInkUsed() + chunk.ink > DRAWING_INK_BUDGET) return 'error.inkExhausted';
+        
+        mergeStroke(drawing.strokes, chunk);
+        return null;
+    }
+    
+    // Removes the last whole line, however many chunks it was streamed in
+    undoStroke() {
+        const drawing = this.getCurrentDrawing();
+        if (!drawing || drawing.strokes.length === 0) return false;
+        
+        drawing.strokes.pop();
+        return true;
+    }
+    
+    clearDrawing() {
+        const drawing = this.getCurrentDrawing();
+        if (!drawing) return false;
+        
+        drawing.strokes = [];
+        return true;
+    }
+    
+    // Everything a client needs to redraw the canvas from scratch
+    getCanvasState() {
+        return {
+            drawings: this.currentRound.drawings,
+            drawerId: this.getDrawerId(),
+            inkUsed: this.getInkUsed(),
+            inkBudget: DRAWING_INK_BUDGET
+        };
+    }
+    
+    getTurnPlayerId() {
+        if (this.gameState !== 'clues') return null;
+        return this.currentRound.turnOrder[this.currentRound.currentTurn] || null;
+    }
+    
+    // Records the clue of the player whose turn it is; an empty clue marks a skipped turn
+    submitClue(playerId, clue) {
+        if (this.getTurnPlayerId() !== playerId) return null;
+        
+        // A player who left mid-round is still on the roster
+        const player = this.getPlayer(playerId) || this.currentRound.roster.find(p => p.id === playerId);
+        const entry = {
+            playerId: playerId,
+            username: player ? player.username : '?',
+            clue: clue || null,
+            skipped: !clue
+        };
+        
+        this.currentRound.clues.push(entry);
+        this.currentRound.currentTurn++;
+        this.transition('clues', this.settings.clueTime);
+        return entry;
+    }
+    
+    // The only place gameState changes, apart from restoring a snapshot. Deadlines are
+    // absolute so they stay valid across a server restart; a new phase is never paused.
+    transition(phase, seconds = null) {
+        if (!PHASE_TRANSITIONS[this.gameState].includes(phase)) {
+            throw new Error(`Invalid phase transition ${this.gameState} -> ${phase} in room ${this.id}`);
+        }
+        
+        this.gameState = phase;
+        this.currentRound.pausedRemaining = null;
+        this.currentRound.deadline = seconds === null ? null : Date.now() + seconds * 1000;
+    }
+    
+    isPaused() {
+        return this.currentRound.pausedRemaining !== null && this.currentRound.pausedRemaining !== undefined;
+    }
+    
+    // Freezes the deadline of the running phase; returns an error key or null
+    pause() {
+        if (!PAUSABLE_PHASES.includes(this.gameState)) return 'error.cannotPause';
+        if (this.isPaused()) return 'error.alreadyPaused';
+        
+        this.currentRound.pausedRemaining = this.getRemainingMs();
+        this.currentRound.deadline = null;
+        return null;
+    }
+    
+    resume() {
+        if (!this.isPaused()) return 'error.notPaused';
+        
+        this.currentRound.deadline = Date.now() + this.currentRound.pausedRemaining;
+        this.currentRound.pausedRemaining = null;
+        return null;
+    }
+    
+    getRemainingMs() {
+        if (this.isPaused()) return this.currentRound.pausedRemaining;
+        if (!this.currentRound.deadline) return 0;
+        return Math.max(0, this.currentRound.deadline - Date.now());
+    }
+    
+    getTimeRemaining() {
+        return Math.ceil(this.getRemainingMs() / 1000);
+    }
+    
+    // Clients count down from remainingMs rather than the deadline, so their clock may be off
+    getTimerState() {
+        return {
+            roomId: this.id,
+            phase: this.gameState,
+            remainingMs: this.getRemainingMs(),
+            paused: this.isPaused()
+        };
+    }
+    
+    hasMoreClueTurns() {
+        return this.currentRound.currentTurn < this.currentRound.turnOrder.length;
+    }
+    
+    // Imposters always stay a minority so the crew can still win a vote
+    getImposterCount() {
+        const playerCount = this.players.length;
+        const maxImposters = Math.max(1, Math.floor((playerCount - 1) / 2));
+        
+        if (this.settings.imposterCount === 'auto') {
+            const step = IMPOSTER_AUTO_STEPS.find(s => playerCount >= s.minPlayers);
+            return Math.min(step.imposters, maxImposters);
+        }
+        
+        const fixed = parseInt(this.settings.imposterCount) || 1;
+        return Math.min(Math.max(fixed, 1), maxImposters);
+    }
+    
+    isImposter(playerId) {
+        return this.currentRound.imposters.some(p => p.id === playerId);
+    }
+    
+    // Private round data for one player, sent on game start and on resume
+    getRoundPayload(playerId) {
+        if (this.gameState === 'waiting' || this.currentRound.imposters.length === 0) return null;
+        
+        // Undercover imposters get a payload shaped exactly like the crew's, decoy word included
+        const isImposter = this.knowsImposterRole(playerId);
+        const payload = {
+            word: this.getDealtWord(playerId),
+            isImposter: isImposter,
+            imposterCount: this.currentRound.imposters.length,
+            timeLimit: this.getTimeRemaining()
+        };
+        
+        if (isImposter && this.settings.revealPartners) {
+            payload.partners = this.currentRound.imposters
+                .filter(p => p.id !== playerId)
+                .map(p => p.username);
+        }
+        
+        return payload;
+    }
+    
+    addSkipVote(playerId) {
+        this.currentRound.skipVotes.add(playerId);
+        return this.currentRound.skipVotes.size >= this.getSkipVotesNeeded();
+    }
+    
+    getSkipVotesNeeded() {
+        return Math.ceil(this.getAlivePlayers().length / 2);
+    }
+    
+    // Ghosts neither vote nor receive votes
+    getVoters() {
+        return this.getAlivePlayers();
+    }
+    
+    // Players that can currently receive votes (only the tied players during a runoff)
+    getVoteCandidates() {
+        const candidates = this.currentRound.runoffCandidates;
+        const alive = this.getAlivePlayers();
+        return candidates ? alive.filter(p => candidates.includes(p.id)) : alive;
+    }
+    
+    // Returns an error key, or null once the vote is recorded; voting again replaces the previous vote
+    addVote(voterId, targetId) {
+        if (!this.getVoters().some(p => p.id === voterId)) {
+            return 'error.notAllowedToVote';
+        }
+        
+        if (targetId !== null) {
+            if (!this.getVoteCandidates().some(p => p.id === targetId)) {
+                return 'error.invalidVoteTarget';
+            }
+            
+            if (targetId === voterId && !this.settings.allowSelfVote) {
+                return 'error.selfVote';
+            }
+        }
+        
+        this.currentRound.votes.set(voterId, targetId);
+        return null;
+    }
+    
+    getVoteProgress() {
+        const voters = this.getVoters();
+        return {
+            voted: voters.filter(p => this.currentRound.votes.has(p.id)).length,
+            total: voters.length
+        };
+    }
+    
+    allVotesIn() {
+        const progress = this.getVoteProgress();
+        return progress.voted === progress.total;
+    }
+    
+    endRound() {
+        this.currentRound.votes.clear();
+        this.currentRound.runoffCandidates = null;
+        this.transition('voting', this.settings.voteTime);
+    }
+    
+    // Returns { runoff: [ids] } when a runoff vote starts, otherwise { votedOut } (null for no elimination)
+    resolveVotes() {
+        // Runoffs and elimination cycles clear the votes, so each ballot is kept for the match history
+        this.currentRound.ballots.push({
+            cycle: this.currentRound.cycle,
+            runoff: !!this.currentRound.runoffCandidates,
+            votes: [...this.currentRound.votes].map(([voterId, targetId]) => ({ voterId, targetId }))
+        });
+        
+        const voteCount = new Map();
+        this.currentRound.votes.forEach(targetId => {
+            if (targetId !== null) {
+                voteCount.set(targetId, (voteCount.get(targetId) || 0) + 1);
+            }
+        });
+        
+        const maxVotes = Math.max(0, ...voteCount.values());
+        if (maxVotes === 0) {
+            return { votedOut: null };
+        }
+        
+        const leaders = [...voteCount.keys()].filter(id => voteCount.get(id) === maxVotes);
+        if (leaders.length === 1) {
+            return { votedOut: this.getPlayer(leaders[0]) || null };
+        }
+        
+        if (this.settings.tieRule === 'runoff' && !this.currentRound.runoffCandidates) {
+            this.currentRound.runoffCandidates = leaders;
+            this.currentRound.votes.clear();
+            this.transition('voting', this.settings.voteTime);
+            return { runoff: leaders };
+        }
+        
+        return { votedOut: null };
+    }
+    
+    getVoteCounts() {
+        const counts = {};
+        this.currentRound.votes.forEach(targetId => {
+            const key = targetId === null ? 'abstain' : targetId;
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        return counts;
+    }
+    
+    startGuess(player) {
+        this.currentRound.guess = {
+            playerId: player.id,
+            username: player.username,
+            guess: null,
+            correct: false
+        };
+        this.transition('guessing', this.settings.guessTime);
+    }
+    
+    submitGuess(playerId, guess) {
+        const round = this.currentRound;
+        if (!round.guess || round.guess.playerId !== playerId || round.guess.guess !== null) {
+            return false;
+        }
+        
+        round.guess.guess = guess;
+        round.guess.correct = wordsMatch(guess, round.word);
+        return true;
+    }
+    
+    endGame(votedOut) {
+        this.transition('ended', RESULTS_DURATION);
+        
+        // The crew wins as soon as one of the imposters is voted out, unless they guess the word
+        const wonByGuess = !!(this.currentRound.guess && this.currentRound.guess.correct);
+        const imposterWon = !votedOut || !this.isImposter(votedOut.id) || wonByGuess;
+        const voteCounts = this.getVoteCounts();
+        
+        this.gameHistory.push({
+            word: this.currentRound.word,
+            decoy: this.currentRound.decoy,
+            imposters: this.currentRound.imposters,
+            votedOut: votedOut,
+            imposterWon: imposterWon,
+            players: [...this.players],
+            clues: [...this.currentRound.clues],
+            voteCounts: voteCounts,
+            guess: this.currentRound.guess,
+            cycles: this.currentRound.cycle,
+            eliminated: [...this.currentRound.eliminated],
+            timestamp: new Date()
+        });
+        
+        return {
+            word: this.currentRound.word,
+            decoy: this.currentRound.decoy,
+            imposters: this.currentRound.imposters,
+            votedOut: votedOut,
+            imposterWon: imposterWon,
+            voteCounts: voteCounts,
+            guess: this.currentRound.guess,
+            cycles: this.currentRound.cycle,
+            eliminated: this.currentRound.eliminated,
+            drawings: this.currentRound.drawings
+        };
+    }
+    
+    // Persists the finished round to the match history; resolves to the match id
+    async saveMatch(results) {
+        const round = this.currentRound;
+        const library = this.getLibrary();
+        const imposterIds = round.imposters.map(p => p.id);
+        const endedAt = new Date();
+        const decidingBallot = round.ballots[round.ballots.length - 1] || null;
+        const details = {
+            clues: round.clues,
+            votes: decidingBallot ? decidingBallot.votes : [],
+            ballots: round.ballots,
+            voteCounts: results.voteCounts,
+            guess: round.guess,
+            chat: round.chat,
+            decoy: round.decoy,
+            cycles: round.cycle,
+            eliminated: round.eliminated
+        };
+        
+        const matchRow = [
+            this.id, this.name, this.settings.theme, library ? library.name : null, this.settings.difficulty,
+            round.word, results.imposterWon ? 'imposter' : 'crew', results.votedOut ? results.votedOut.id : null,
+            Math.round((endedAt.getTime() - round.startTime) / 1000), JSON.stringify(details),
+            new Date(round.startTime).toISOString(), endedAt.toISOString()
+        ];
+        
+        // Everyone dealt into the round, including players who left before it ended
+        const roster = round.roster.length > 0 ? round.roster : this.players;
+        const playerRows = roster.map(entry => {
+            const isImposter = imposterIds.includes(entry.id);
+            const vote = decidingBallot ? decidingBallot.votes.find(v => v.voterId === entry.id) : null;
+            return [
+                String(entry.id), entry.isBot || entry.isGuest ? null : entry.id, entry.username,
+                isImposter ? 'imposter' : 'crew',
+                vote && vote.targetId !== null ? String(vote.targetId) : null,
+                (isImposter ? results.imposterWon : !results.imposterWon) ? 1 : 0
+            ];
+        });
+        
+        return insertMatch(matchRow, playerRows);
+    }
+    
+    // What the achievement rules look at, captured before the room moves on
+    getAchievementFacts(results) {
+        const round = this.currentRound;
+        const votedOut = results.votedOut;
+        const otherVoters = votedOut ? this.getVoters().filter(p => p.id !== votedOut.id) : [];
+        
+        return {
+            theme: this.settings.theme,
+            difficulty: this.settings.difficulty,
+            // Everyone else voted for the imposter who went out
+            unanimous: !!votedOut && this.isImposter(votedOut.id) && otherVoters.length > 0 &&
+                otherVoters.every(p => round.votes.get(p.id) === votedOut.id),
+            players: this.players.filter(p => !p.isBot && !p.isGuest).map(p => {
+                const isImposter = this.isImposter(p.id);
+                return {
+                    id: p.id,
+                    username: p.username,
+                    isImposter: isImposter,
+                    won: isImposter ? results.imposterWon : !results.imposterWon,
+                    wonByGuess: !!(round.guess && round.guess.correct && round.guess.playerId === p.id)
+                };
+            })
+        };
+    }
+    
+    // Updates counters and Elo-style ratings; resolves to the rating change of every player
+    async updatePlayerStats(imposterWon, votedOut) {
+        // Bots and guests have no account and never touch user_stats
+        const players = this.players.filter(p => !p.isBot && !p.isGuest);
+        const imposterIds = this.currentRound.imposters.map(p => p.id);
+        const guess = this.currentRound.guess;
+        if (players.length === 0) return [];
+        
+        for (const player of players) {
+            await dbRun('INSERT OR IGNORE INTO user_stats (user_id) VALUES (?)', [player.id]);
+        }
+        
+        const rows = await dbAll(`SELECT user_id, crew_rating, imposter_rating FROM user_stats
+            WHERE user_id IN (${players.map(() => '?').join(', ')})`, players.map(p => p.id));
+        const ratings = new Map(rows.map(row => [row.user_id, row]));
+        
+        // Each side is rated against the average rating of the other side
+        const average = (list) => list.length > 0 ? list.reduce((sum, r) => sum + r, 0) / list.length : RATING_DEFAULT;
+        const imposterAverage = average(players.filter(p => imposterIds.includes(p.id)).map(p => ratings.get(p.id).imposter_rating));
+        const crewAverage = average(players.filter(p => !imposterIds.includes(p.id)).map(p => ratings.get(p.id).crew_rating));
+        
+        const changes = [];
+        for (const player of players) {
+            const isImposter = imposterIds.includes(player.id);
+            const won = isImposter ? imposterWon : !imposterWon;
+            const wasCaught = isImposter && votedOut && votedOut.id === player.id;
+            const wonByGuess = !!(guess && guess.correct && guess.playerId === player.id);
+            // Every cycle counts as survived except the one in which the imposter was caught
+            const cyclesSurvived = isImposter && this.settings.elimination ? this.currentRound.cycle - (wasCaught ? 1 : 0) : 0;
+            
+            const row = ratings.get(player.id);
+            const before = isImposter ? row.imposter_rating : row.crew_rating;
+            const after = updatedRating(before, isImposter ? crewAverage : imposterAverage, won);
+            
+            await dbRun(`UPDATE user_stats SET 
+                games_played = games_played + 1,
+                games_won = games_won + ?,
+                times_imposter = times_imposter + ?,
+                times_caught_imposter = times_caught_imposter + ?,
+                times_won_by_guess = times_won_by_guess + ?,
+                cycles_survived = cycles_survived + ?,
+                ${isImposter ? 'imposter_rating' : 'crew_rating'} = ?
+                WHERE user_id = ?`,
+                [won ? 1 : 0, isImposter ? 1 : 0, wasCaught ? 1 : 0, wonByGuess ? 1 : 0, cyclesSurvived, after, player.id]
+            );
+            
+            changes.push({
+                playerId: player.id,
+                username: player.username,
+                role: isImposter ? 'imposter' : 'crew',
+                before: before,
+                after: after
+            });
+        }
+        
+        return changes;
+    }
+    
+    resetGame() {
+        this.transition('waiting');
+        this.currentRound = {
+            word: null,
+            decoy: null, // undercover mode only
+            imposters: [],
+            roster: [], // { id, username, isBot, isGuest } of everyone dealt into the round
+            deadline: null, // epoch ms at which the current phase times out
+            skipVotes: new Set(),
+            votes: new Map(), // voterId -> targetId, null for abstain
+            ballots: [], // { cycle, runoff, votes: [{ voterId, targetId }] } of every resolved vote
+            runoffCandidates: null,
+            turnOrder: [],
+            currentTurn: 0,
+            clues: [],
+            guess: null, // { playerId, username, guess, correct }
+            chat: [], // player chat of this round, persisted with the match
+            startTime: null,
+            pausedRemaining: null, // ms left on the deadline while the admin has paused the round
+            cycle: 1, // clue/discussion/vote cycles played, more than one only in elimination mode
+            eliminated: [], // { playerId, username, cycle } of the ghosts
+            ghostChat: [],
+            drawOrder: [],
+            drawTurn: 0,
+            drawings: [] // { playerId, username, cycle, strokes: [{ id, color, width, points, ink }] }
+        };
+    }
+    
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            players: this.players,
+            spectators: this.spectators.map(s => ({ id: s.id, username: s.username })),
+            visibility: this.visibility,
+            hasPassword: !!this.passwordHash,
+            locked: this.locked,
+            bannedUsers: [...this.bannedUsers].map(([id, username]) => ({ id, username })),
+            mutedIds: [...this.mutedUntil.keys()].filter(id => this.getMuteRemaining(id) > 0),
+            gameState: this.gameState,
+            settings: this.settings,
+            themeName: this.getLibrary() ? this.getLibrary().name : null,
+            timer: this.getTimerState(),
+            currentRound: {
+                timeRemaining: this.getTimeRemaining(),
+                clues: this.currentRound.clues,
+                turnPlayerId: this.getTurnPlayerId(),
+                drawerId: this.getDrawerId(),
+                votes: this.getVoteProgress(),
+                runoffCandidates: this.currentRound.runoffCandidates,
+                guessPlayerId: this.currentRound.guess ? this.currentRound.guess.playerId : null,
+                skipVotes: this.currentRound.skipVotes.size,
+                skipNeeded: this.getSkipVotesNeeded(),
+                cycle: this.currentRound.cycle,
+                eliminatedIds: this.currentRound.eliminated.map(entry => entry.playerId)
+            }
+        };
+    }
+    
+    // Durable state for restoring the room after a restart; sockets and spectators are not kept
+    toSnapshot() {
+        return {
+            id: this.id,
+            name: this.name,
+            adminId: this.adminId,
+            players: this.players.map(p => ({ id: p.id, username: p.username, isAdmin: !!p.isAdmin, isBot: !!p.isBot, isGuest: !!p.isGuest, badges: p.badges || [] })),
+            gameState: this.gameState,
+            settings: this.settings,
+            customLibrary: this.customLibrary,
+            currentRound: {
+                ...this.currentRound,
+                skipVotes: [...this.currentRound.skipVotes],
+                votes: [...this.currentRound.votes]
+            },
+            chatLog: this.chatLog,
+            visibility: this.visibility,
+            passwordHash: this.passwordHash,
+            locked: this.locked,
+            bannedUsers: [...this.bannedUsers],
+            mutedUntil: [...this.mutedUntil],
+            invites: [...this.invites]
+        };
+    }
+    
+    static fromSnapshot(snapshot) {
+        const room = new GameRoom(snapshot.id, snapshot.name, snapshot.adminId);
+        
+        // Everyone but the bots starts offline until their client reconnects
+        room.players = snapshot.players.map(p => ({ ...p, socketId: null, connected: !!p.isBot }));
+        room.gameState = snapshot.gameState;
+        room.settings = { ...room.settings, ...snapshot.settings };
+        room.customLibrary = snapshot.customLibrary;
+        room.currentRound = {
+            ...room.currentRound,
+            ...snapshot.currentRound,
+            skipVotes: new Set(snapshot.currentRound.skipVotes),
+            votes: new Map(snapshot.currentRound.votes)
+        };
+        room.chatLog = snapshot.chatLog;
+        room.visibility = snapshot.visibility;
+        room.passwordHash = snapshot.passwordHash;
+        room.locked = !!snapshot.locked;
+        room.bannedUsers = new Map(snapshot.bannedUsers || []);
+        room.mutedUntil = new Map(snapshot.mutedUntil || []);
+        room.invites = new Map(snapshot.invites || []);
+        return room;
+    }
+    
+    // Operations dashboard view; the word and the imposters stay hidden until the round has ended
+    toDashboardJSON() {
+        const round = this.currentRound;
+        const library = this.getLibrary();
+        const revealed = this.gameState === 'ended';
+        return {
+            id: this.id,
+            name: this.name,
+            visibility: this.visibility,
+            locked: this.locked,
+            language: this.settings.language,
+            gameState: this.gameState,
+            paused: this.isPaused(),
+            remainingMs: this.getRemainingMs(),
+            theme: library ? library.name : null,
+            difficulty: this.settings.difficulty,
+            modes: ['cluePhase', 'elimination', 'undercover', 'drawing'].filter(mode => this.settings[mode]),
+            cycle: round.cycle,
+            startedAt: round.startTime ? new Date(round.startTime).toISOString() : null,
+            players: this.players.map(p => ({
+                id: p.id,
+                username: p.username,
+                isAdmin: !!p.isAdmin,
+                isBot: !!p.isBot,
+                isGuest: !!p.isGuest,
+                connected: !!p.connected,
+                eliminated: this.isEliminated(p.id)
+            })),
+            spectators: this.spectators.map(s => ({ id: s.id, username: s.username })),
+            word: revealed ? round.word : null,
+            decoy: revealed ? round.decoy : null,
+            imposters: revealed ? round.imposters.map(p => p.username) : null
+        };
+    }
+    
+    toLobbyJSON() {
+        const library = this.getLibrary();
+        return {
+            id: this.id,
+            name: this.name,
+            playerCount: this.players.length,
+            maxPlayers: this.settings.maxPlayers,
+            spectatorCount: this.spectators.length,
+            theme: library ? library.name : null,
+            difficulty: this.settings.difficulty,
+            gameState: this.gameState,
+            hasPassword: !!this.passwordHash,
+            locked: this.locked,
+            language: this.settings.language
+        };
+    }
+}
+
+// Account tokens carry the token_version they were issued under; bumping it revokes all of them
+function signAccountToken(user) {
+    return jwt.sign({ id: user.id, username: user.username, ver: user.token_version || 0 }, JWT_SECRET, { expiresIn: ACCOUNT_TOKEN_TTL });
+}
+
+// Resolves to { id, username, guest } or null for an invalid, revoked or orphaned token.
+// Account names come from the database so renames apply to tokens issued before them.
+async function verifyToken(token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+    
+    if (decoded.guest) {
+        return { id: decoded.id, username: decoded.username, guest: true };
+    }
+    
+    const user = await dbGet('SELECT id, username, token_version FROM users WHERE id = ?', [decoded.id]);
+    if (!user || user.token_version !== (decoded.ver || 0)) return null;
+    
+    return { id: user.id, username: user.username, guest: false };
+}
+
+// Browsers always send Origin cross-site; tools and same-origin requests may omit it
+function isOriginAllowed(origin, host) {
+    if (!origin) return true;
+    if (ALLOWED_ORIGINS.includes('*') || ALLOWED_ORIGINS.includes(origin)) return true;
+    
+    try {
+        return new URL(origin).host === host;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Login throttling
+// Failures are counted per key ("ip:<address>", "user:<name>"). Reaching LOGIN_MAX_FAILURES locks
+// the key, and every lockout within LOGIN_FAILURE_WINDOW doubles the next one.
+const loginAttempts = new Map(); // key -> { failures, lockouts, lockedUntil, lastFailure }
+
+function getLoginEntry(key) {
+    const entry = loginAttempts.get(key);
+    if (entry && Date.now() - entry.lastFailure > LOGIN_FAILURE_WINDOW && entry.lockedUntil <= Date.now()) {
+        loginAttempts.delete(key);
+        return null;
+    }
+    return entry || null;
+}
+
+// Seconds until the most restrictive of the keys unlocks, 0 when none is locked
+function getLoginLockout(keys) {
+    return Math.max(0, ...keys.map(key => {
+        const entry = getLoginEntry(key);
+        return entry ? Math.ceil((entry.lockedUntil - Date.now()) / 1000) : 0;
+    }));
+}
+
+function recordLoginFailure(keys) {
+    metrics.authFailures.login++;
+    for (const key of keys) {
+        const entry = getLoginEntry(key) || { failures: 0, lockouts: 0, lockedUntil: 0, lastFailure: 0 };
+        entry.failures++;
+        entry.lastFailure = Date.now();
+        
+        if (entry.failures >= LOGIN_MAX_FAILURES) {
+            const seconds = Math.min(LOGIN_LOCKOUT_BASE * 2 ** entry.lockouts, LOGIN_LOCKOUT_MAX);
+            entry.lockedUntil = Date.now() + seconds * 1000;
+            entry.lockouts++;
+            entry.failures = 0;
+        }
+        loginAttempts.set(key, entry);
+    }
+}
+
+function clearLoginFailures(keys) {
+    keys.forEach(key => loginAttempts.delete(key));
+}
+
+// Answers 429 and returns true while any of the keys is locked
+function rejectLockedLogin(req, res, keys) {
+    const seconds = getLoginLockout(keys);
+    if (seconds === 0) return false;
+    
+    res.set('Retry-After', String(seconds));
+    sendError(req, res, 429, 'error.tooManyAttempts', { seconds });
+    return true;
+}
+
+// Stale keys would otherwise pile up for every address that ever failed once
+setInterval(() => {
+    [...loginAttempts.keys()].forEach(getLoginEntry);
+}, LOGIN_FAILURE_WINDOW).unref();
+
+// API Routes
+// Expects "Authorization: Bearer <token>" and exposes the verified user as req.user
+async function authenticateToken(req, res, next) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    
+    if (!token) {
+        return sendError(req, res, 401, 'error.notAuthenticated');
+    }
+    
+    try {
+        req.user = await verifyToken(token);
+    } catch (error) {
+        logger.error('Token check error', { error });
+        return sendError(req, res, 500, 'error.serverError');
+    }
+    
+    if (!req.user) {
+        metrics.authFailures.token++;
+        return sendError(req, res, 401, 'error.invalidToken');
+    }
+    next();
+}
+
+function isServerAdmin(user) {
+    return !user.guest && SERVER_ADMINS.includes(user.id);
+}
+
+// For the operations endpoints; runs after authenticateToken
+function requireServerAdmin(req, res, next) {
+    if (!isServerAdmin(req.user)) {
+        return sendError(req, res, 403, 'error.forbidden');
+    }
+    next();
+}
+
+// For routes that persist data per user; runs after authenticateToken
+function requireAccount(req, res, next) {
+    if (req.user.guest) {
+        return sendError(req, res, 403, 'error.accountRequired');
+    }
+    next();
+}
+
+// Registering a taken name counts as a failure for the address, like a failed login
+app.post('/api/register', async (req, res) => {
+    const throttleKeys = [`ip:${req.ip}`];
+    if (rejectLockedLogin(req, res, throttleKeys)) return;
+    
+    try {
+        const { username, password } = req.body;
+        
+        if (!username || !password) {
+            return sendError(req, res, 400, 'error.credentialsRequired');
+        }
+        
+        if (username.length < 3) {
+            return sendError(req, res, 400, 'error.usernameTooShort');
+        }
+        
+        if (password.length < 6) {
+            return sendError(req, res, 400, 'error.passwordTooShort');
+        }
+        
+        const hashedPassword = await bcrypt.hash(password, 10);
+        
+        db.run('INSERT INTO users (username, password) VALUES (?, ?)', 
+            [username, hashedPassword], 
+            function(err) {
+                if (err) {
+                    logger.error('Database error', { error: err });
+                    if (err.message.includes('UNIQUE constraint failed')) {
+                        recordLoginFailure(throttleKeys);
+                        return sendError(req, res, 400, 'error.usernameTaken');
+                    }
+                    return sendError(req, res, 500, 'error.serverError');
+                }
+                
+                const token = signAccountToken({ id: this.lastID, username });
+                
+                // Create initial stats
+                db.run('INSERT INTO user_stats (user_id) VALUES (?)', [this.lastID], (err) => {
+                    if (err) logger.error('Stats creation error', { error: err });
+                });
+                
+                res.json({
+                    token,
+                    user: { id: this.lastID, username }
+                });
+            }
+        );
+    } catch (error) {
+        logger.error('Register error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+app.post('/api/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        
+        if (!username || !password) {
+            return sendError(req, res, 400, 'error.credentialsRequired');
+        }
+        
+        // Unknown usernames are throttled too, so lockouts don't reveal which accounts exist
+        const throttleKeys = [`ip:${req.ip}`, `user:${String(username).toLowerCase()}`];
+        if (rejectLockedLogin(req, res, throttleKeys)) return;
+        
+        db.get('SELECT * FROM users WHERE username = ?', [username], async (err, user) => {
+            if (err) {
+                logger.error('Database error', { error: err });
+                return sendError(req, res, 500, 'error.serverError');
+            }
+            
+            if (!user) {
+                recordLoginFailure(throttleKeys);
+                return sendError(req, res, 400, 'error.invalidCredentials');
+            }
+            
+            try {
+                const validPassword = await bcrypt.compare(password, user.password);
+                if (!validPassword) {
+                    recordLoginFailure(throttleKeys);
+                    return sendError(req, res, 400, 'error.invalidCredentials');
+                }
+                
+                clearLoginFailures(throttleKeys);
+                const token = signAccountToken(user);
+                
+                res.json({
+                    token,
+                    user: { id: user.id, username: user.username }
+                });
+            } catch (bcryptError) {
+                logger.error('Bcrypt error', { error: bcryptError });
+                return sendError(req, res, 500, 'error.serverError');
+            }
+        });
+    } catch (error) {
+        logger.error('Login error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+// Guests play under a short-lived token; they have no row in users and never get stats
+app.post('/api/guest', async (req, res) => {
+    try {
+        const nickname = typeof req.body.nickname === 'string' ? req.body.nickname.trim() : '';
+        
+        if (nickname.length < 3 || nickname.length > 20) {
+            return sendError(req, res, 400, 'error.nicknameLength');
+        }
+        
+        const account = await dbGet('SELECT id FROM users WHERE username = ? COLLATE NOCASE', [nickname]);
+        if (account) {
+            return sendError(req, res, 400, 'error.nicknameTaken');
+        }
+        
+        const id = `guest:${crypto.randomBytes(8).toString('hex')}`;
+        const token = jwt.sign({ id, username: nickname, guest: true }, JWT_SECRET, { expiresIn: GUEST_TOKEN_TTL });
+        
+        res.json({
+            token,
+            user: { id, username: nickname, guest: true }
+        });
+    } catch (error) {
+        logger.error('Guest error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+// Registers the guest behind the token; the username defaults to the nickname
+app.post('/api/guest/upgrade', authenticateToken, async (req, res) => {
+    if (!req.user.guest) {
+        return sendError(req, res, 400, 'error.notGuest');
+    }
+    
+    try {
+        const { password } = req.body;
+        const username = typeof req.body.username === 'string' && req.body.username.trim()
+            ? req.body.username.trim()
+            : req.user.username;
+        
+        if (!password) {
+            return sendError(req, res, 400, 'error.credentialsRequired');
+        }
+        
+        if (username.length < 3) {
+            return sendError(req, res, 400, 'error.usernameTooShort');
+        }
+        
+        if (password.length < 6) {
+            return sendError(req, res, 400, 'error.passwordTooShort');
+        }
+        
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const { lastID } = await dbRun('INSERT INTO users (username, password) VALUES (?, ?)', [username, hashedPassword]);
+        await dbRun('INSERT INTO user_stats (user_id) VALUES (?)', [lastID]);
+        
+        const user = { id: lastID, username };
+        transferSessions(req.user.id, user);
+        logger.info('Guest registered', { guestId: req.user.id, username });
+        
+        res.json({
+            token: signAccountToken(user),
+            user
+        });
+    } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) {
+            return sendError(req, res, 400, 'error.usernameTaken');
+        }
+        logger.error('Guest upgrade error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+// Issues a fresh token for the same session; account tokens keep their version
+app.post('/api/auth/refresh', authenticateToken, async (req, res) => {
+    if (req.user.guest) {
+        const token = jwt.sign({ id: req.user.id, username: req.user.username, guest: true }, JWT_SECRET, { expiresIn: GUEST_TOKEN_TTL });
+        return res.json({ token, user: req.user });
+    }
+    
+    try {
+        const user = await dbGet('SELECT id, username, token_version FROM users WHERE id = ?', [req.user.id]);
+        res.json({ token: signAccountToken(user), user: req.user });
+    } catch (error) {
+        logger.error('Token refresh error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+// Signs the account out everywhere, including the token used for this request
+app.post('/api/auth/revoke', authenticateToken, requireAccount, async (req, res) => {
+    try {
+        await dbRun('UPDATE users SET token_version = token_version + 1 WHERE id = ?', [req.user.id]);
+        revokeUserSessions(req.user.id);
+        res.json({ revoked: true });
+    } catch (error) {
+        logger.error('Token revoke error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+app.get('/api/account', authenticateToken, requireAccount, async (req, res) => {
+    try {
+        const user = await dbGet('SELECT id, username, created_at FROM users WHERE id = ?', [req.user.id]);
+        res.json({ user: { id: user.id, username: user.username, createdAt: user.created_at } });
+    } catch (error) {
+        logger.error('Account error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+// Renames the account; seated players and open sockets pick up the new name right away
+app.put('/api/account/username', authenticateToken, requireAccount, async (req, res) => {
+    const username = typeof req.body.username === 'string' ? req.body.username.trim() : '';
+    
+    if (username.length < 3) {
+        return sendError(req, res, 400, 'error.usernameTooShort');
+    }
+    
+    try {
+        await dbRun('UPDATE users SET username = ? WHERE id = ?', [username, req.user.id]);
+        const user = await dbGet('SELECT id, username, token_version FROM users WHERE id = ?', [req.user.id]);
+        transferSessions(user.id, user);
+        
+        res.json({
+            token: signAccountToken(user),
+            user: { id: user.id, username: user.username }
+        });
+    } catch (error) {
+        if (error.message.includes('UNIQUE constraint failed')) {
+            return sendError(req, res, 400, 'error.usernameTaken');
+        }
+        logger.error('Rename error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+// Changing the password revokes every token issued before; the response carries the new one
+app.put('/api/account/password', authenticateToken, requireAccount, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+        return sendError(req, res, 400, 'error.passwordRequired');
+    }
+    
+    if (newPassword.length < 6) {
+        return sendError(req, res, 400, 'error.passwordTooShort');
+    }
+    
+    try {
+        const user = await dbGet('SELECT * FROM users WHERE id = ?', [req.user.id]);
+        if (!(await bcrypt.compare(currentPassword, user.password))) {
+            return sendError(req, res, 400, 'error.wrongPassword');
+        }
+        
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        await dbRun('UPDATE users SET password = ?, token_version = token_version + 1 WHERE id = ?', [hashedPassword, user.id]);
+        revokeUserSessions(user.id);
+        
+        res.json({
+            token: signAccountToken({ ...user, token_version: user.token_version + 1 }),
+            user: { id: user.id, username: user.username }
+        });
+    } catch (error) {
+        logger.error('Password change error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+// Deletes the account, its stats and its custom libraries; past matches keep the name they were played under
+app.delete('/api/account', authenticateToken, requireAccount, async (req, res) => {
+    const { password } = req.body || {};
+    
+    if (!password) {
+        return sendError(req, res, 400, 'error.passwordRequired');
+    }
+    
+    try {
+        const user = await dbGet('SELECT * FROM users WHERE id = ?', [req.user.id]);
+        if (!(await bcrypt.compare(password, user.password))) {
+            return sendError(req, res, 400, 'error.wrongPassword');
+        }
+        
+        await dbRun('DELETE FROM library_words WHERE library_id IN (SELECT id FROM word_libraries WHERE owner_id = ?)', [user.id]);
+        await dbRun('DELETE FROM word_libraries WHERE owner_id = ?', [user.id]);
+        await dbRun('DELETE FROM user_stats WHERE user_id = ?', [user.id]);
+        await dbRun('DELETE FROM user_achievements WHERE user_id = ?', [user.id]);
+        await dbRun('DELETE FROM users WHERE id = ?', [user.id]);
+        
+        endUserSessions(user.id);
+        res.json({ deleted: true });
+    } catch (error) {
+        logger.error('Account deletion error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+app.get('/api/achievements', (req, res) => {
+    res.json({ achievements: ACHIEVEMENTS.map(achievement => ({ id: achievement.id, icon: achievement.icon })) });
+});
+
+app.get('/api/libraries', (req, res) => {
+    res.json(wordLibraries[req.locale]);
+});
+
+// Server-side catalog, so clients can render error and system message keys in their own locale
+app.get('/api/i18n/:locale', (req, res) => {
+    const locale = SUPPORTED_LOCALES.includes(req.params.locale) ? req.params.locale : DEFAULT_LOCALE;
+    res.json({ locale, messages: translations[locale] });
+});
+
+app.get('/api/custom-libraries', authenticateToken, requireAccount, async (req, res) => {
+    try {
+        const libraries = await dbAll(`SELECT l.id, l.name, l.description, l.created_at, l.updated_at, COUNT(w.id) AS word_count
+            FROM word_libraries l LEFT JOIN library_words w ON w.library_id = l.id
+            WHERE l.owner_id = ? GROUP BY l.id ORDER BY l.updated_at DESC`, [req.user.id]);
+        
+        res.json({
+            libraries: libraries.map(library => ({
+                id: library.id,
+                theme: CUSTOM_THEME_PREFIX + library.id,
+                name: library.name,
+                description: library.description,
+                wordCount: library.word_count,
+                createdAt: library.created_at,
+                updatedAt: library.updated_at
+            }))
+        });
+    } catch (error) {
+        logger.error('Database error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+app.post('/api/custom-libraries/import', authenticateToken, requireAccount, express.text({ type: 'text/csv' }), async (req, res) => {
+    try {
+        const input = typeof req.body === 'string'
+            ? { name: req.query.name, description: req.query.description, words: parseLibraryCsv(req.body) }
+            : req.body;
+        
+        const { library, error, params } = validateLibrary(input || {});
+        if (error) {
+            return sendError(req, res, 400, error, params);
+        }
+        
+        res.status(201).json({ library: await createCustomLibrary(req.user.id, library) });
+    } catch (error) {
+        logger.error('Library import error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+app.get('/api/custom-libraries/:id', authenticateToken, requireAccount, async (req, res) => {
+    try {
+        const library = await loadCustomLibrary(parseInt(req.params.id));
+        if (!library) {
+            return sendError(req, res, 404, 'error.libraryNotFound');
+        }
+        if (library.ownerId !== req.user.id) {
+            return sendError(req, res, 403, 'error.forbidden');
+        }
+        
+        res.json({ library });
+    } catch (error) {
+        logger.error('Database error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+app.get('/api/custom-libraries/:id/export', authenticateToken, requireAccount, async (req, res) => {
+    try {
+        const library = await loadCustomLibrary(parseInt(req.params.id));
+        if (!library) {
+            return sendError(req, res, 404, 'error.libraryNotFound');
+        }
+        if (library.ownerId !== req.user.id) {
+            return sendError(req, res, 403, 'error.forbidden');
+        }
+        
+        const fileName = library.name.replace(/[^\w-]+/g, '_');
+        if (req.query.format === 'csv') {
+            res.attachment(`${fileName}.csv`);
+            res.type('text/csv').send(toLibraryCsv(library));
+        } else {
+            res.attachment(`${fileName}.json`);
+            res.json({ name: library.name, description: library.description, words: library.words });
+        }
+    } catch (error) {
+        logger.error('Library export error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+app.post('/api/custom-libraries', authenticateToken, requireAccount, async (req, res) => {
+    try {
+        const { library, error, params } = validateLibrary(req.body);
+        if (error) {
+            return sendError(req, res, 400, error, params);
+        }
+        
+        res.status(201).json({ library: await createCustomLibrary(req.user.id, library) });
+    } catch (error) {
+        logger.error('Library create error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+app.put('/api/custom-libraries/:id', authenticateToken, requireAccount, async (req, res) => {
+    try {
+        const libraryId = parseInt(req.params.id);
+        const existing = await dbGet('SELECT owner_id FROM word_libraries WHERE id = ?', [libraryId]);
+        if (!existing) {
+            return sendError(req, res, 404, 'error.libraryNotFound');
+        }
+        if (existing.owner_id !== req.user.id) {
+            return sendError(req, res, 403, 'error.forbidden');
+        }
+        
+        const { library, error, params } = validateLibrary(req.body);
+        if (error) {
+            return sendError(req, res, 400, error, params);
+        }
+        
+        await dbRun('UPDATE word_libraries SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+            [library.name, library.description, libraryId]);
+        await saveLibraryWords(libraryId, library.words);
+        
+        res.json({ library: await loadCustomLibrary(libraryId) });
+    } catch (error) {
+        logger.error('Library update error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+app.delete('/api/custom-libraries/:id', authenticateToken, requireAccount, async (req, res) => {
+    try {
+        const libraryId = parseInt(req.params.id);
+        const existing = await dbGet('SELECT owner_id FROM word_libraries WHERE id = ?', [libraryId]);
+        if (!existing) {
+            return sendError(req, res, 404, 'error.libraryNotFound');
+        }
+        if (existing.owner_id !== req.user.id) {
+            return sendError(req, res, 403, 'error.forbidden');
+        }
+        
+        await dbRun('DELETE FROM library_words WHERE library_id = ?', [libraryId]);
+        await dbRun('DELETE FROM word_libraries WHERE id = ?', [libraryId]);
+        
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Library delete error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+app.get('/api/rooms', (req, res) => {
+    let publicRooms = getPublicRooms();
+    
+    if (req.query.state) {
+        publicRooms = publicRooms.filter(room => room.gameState === req.query.state);
+    }
+    
+    res.json({ rooms: publicRooms });
+});
+
+app.get('/api/stats/:userId', authenticateToken, (req, res) => {
+    const userId = parseInt(req.params.userId);
+    
+    if (isNaN(userId)) {
+        return sendError(req, res, 400, 'error.invalidUserId');
+    }
+    
+    db.get('SELECT * FROM user_stats WHERE user_id = ?', [userId], (err, stats) => {
+        if (err) {
+            logger.error('Database error', { error: err });
+            return sendError(req, res, 500, 'error.serverError');
+        }
+        
+        if (!stats) {
+            stats = { games_played: 0, games_won: 0, times_imposter: 0, times_caught_imposter: 0, times_won_by_guess: 0, cycles_survived: 0, crew_rating: RATING_DEFAULT, imposter_rating: RATING_DEFAULT };
+        }
+        
+        const winRate = stats.games_played > 0 ? Math.round((stats.games_won / stats.games_played) * 100) : 0;
+        const imposterSuccessRate = stats.times_imposter > 0 ? 
+            Math.round(((stats.times_imposter - stats.times_caught_imposter) / stats.times_imposter) * 100) : 0;
+        
+        db.all('SELECT achievement, unlocked_at FROM user_achievements WHERE user_id = ? ORDER BY unlocked_at', [userId], (err, achievements) => {
+            if (err) {
+                logger.error('Database error', { error: err });
+                return sendError(req, res, 500, 'error.serverError');
+            }
+            
+            res.json({
+                stats: {
+                    gamesPlayed: stats.games_played,
+                    gamesWon: stats.games_won,
+                    winRate: winRate,
+                    timesImposter: stats.times_imposter,
+                    timesCaughtImposter: stats.times_caught_imposter,
+                    timesWonByGuess: stats.times_won_by_guess,
+                    cyclesSurvived: stats.cycles_survived,
+                    imposterSuccessRate: imposterSuccessRate,
+                    crewRating: stats.crew_rating,
+                    imposterRating: stats.imposter_rating
+                },
+                achievements: achievements.map(row => ({ id: row.achievement, unlockedAt: row.unlocked_at }))
+            });
+        });
+    });
+});
+
+// Match history is visible to the players who took part
+app.get('/api/matches/:id', authenticateToken, async (req, res) => {
+    const matchId = parseInt(req.params.id);
+    
+    if (isNaN(matchId)) {
+        return sendError(req, res, 400, 'error.invalidMatchId');
+    }
+    
+    try {
+        const match = await dbGet('SELECT * FROM matches WHERE id = ?', [matchId]);
+        if (!match) {
+            return sendError(req, res, 404, 'error.matchNotFound');
+        }
+        
+        const players = await dbAll('SELECT * FROM match_players WHERE match_id = ? ORDER BY username', [matchId]);
+        if (!players.some(p => p.user_id === req.user.id)) {
+            return sendError(req, res, 403, 'error.notParticipant');
+        }
+        
+        const details = JSON.parse(match.details);
+        res.json({
+            match: {
+                id: match.id,
+                roomId: match.room_id,
+                roomName: match.room_name,
+                theme: match.theme,
+                themeName: match.theme_name,
+                difficulty: match.difficulty,
+                word: match.word,
+                winner: match.winner,
+                votedOutId: match.voted_out_id,
+                duration: match.duration,
+                startedAt: match.started_at,
+                endedAt: match.ended_at,
+                players: players.map(p => ({
+                    playerId: p.player_id,
+                    userId: p.user_id,
+                    username: p.username,
+                    role: p.role,
+                    votedFor: p.voted_for,
+                    won: !!p.won
+                })),
+                clues: details.clues,
+                votes: details.votes,
+                ballots: details.ballots || [{ cycle: details.cycles || 1, runoff: false, votes: details.votes }],
+                voteCounts: details.voteCounts,
+                guess: details.guess,
+                chat: details.chat,
+                decoy: details.decoy || null,
+                cycles: details.cycles || 1,
+                eliminated: details.eliminated || []
+            }
+        });
+    } catch (error) {
+        logger.error('Database error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+app.get('/api/users/:id/matches', authenticateToken, async (req, res) => {
+    const userId = parseInt(req.params.id);
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const pageSize = Math.min(MATCH_HISTORY_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize) || 20));
+    
+    if (isNaN(userId)) {
+        return sendError(req, res, 400, 'error.invalidUserId');
+    }
+    if (userId !== req.user.id) {
+        return sendError(req, res, 403, 'error.foreignMatchHistory');
+    }
+    
+    const conditions = ['mp.user_id = ?'];
+    const params = [userId];
+    
+    if (req.query.role) {
+        if (!['crew', 'imposter'].includes(req.query.role)) {
+            return sendError(req, res, 400, 'error.invalidRole');
+        }
+        conditions.push('mp.role = ?');
+        params.push(req.query.role);
+    }
+    
+    // Dates are stored as ISO strings, so normalizing the filters keeps the comparison lexicographic.
+    // A plain date as "to" includes that whole day, so it becomes "before the next midnight".
+    for (const [param, operator] of [['from', '>='], ['to', '<=']]) {
+        if (!req.query[param]) continue;
+        
+        const date = new Date(req.query[param]);
+        if (isNaN(date.getTime())) {
+            return sendError(req, res, 400, 'error.invalidDate');
+        }
+        
+        if (param === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(req.query[param])) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            conditions.push('m.ended_at < ?');
+        } else {
+            conditions.push(`m.ended_at ${operator} ?`);
+        }
+        params.push(date.toISOString());
+    }
+    
+    try {
+        const where = conditions.join(' AND ');
+        const { total } = await dbGet(`SELECT COUNT(*) AS total FROM match_players mp JOIN matches m ON m.id = mp.match_id
+            WHERE ${where}`, params);
+        const rows = await dbAll(`SELECT m.id, m.room_name, m.theme_name, m.difficulty, m.word, m.winner, m.voted_out_id,
+                m.duration, m.ended_at, mp.role, mp.won,
+                (SELECT COUNT(*) FROM match_players other WHERE other.match_id = m.id) AS player_count
+            FROM match_players mp JOIN matches m ON m.id = mp.match_id
+            WHERE ${where}
+            ORDER BY m.ended_at DESC
+            LIMIT ? OFFSET ?`, [...params, pageSize, (page - 1) * pageSize]);
+        
+        res.json({
+            page: page,
+            pageSize: pageSize,
+            total: total,
+            matches: rows.map(row => ({
+                id: row.id,
+                roomName: row.room_name,
+                themeName: row.theme_name,
+                difficulty: row.difficulty,
+                word: row.word,
+                winner: row.winner,
+                votedOutId: row.voted_out_id,
+                duration: row.duration,
+                endedAt: row.ended_at,
+                role: row.role,
+                won: !!row.won,
+                playerCount: row.player_count
+            }))
+        });
+    } catch (error) {
+        logger.error('Database error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+// Sort keys accepted by /api/leaderboard, mapped to their SQL expressions
+const LEADERBOARD_SORTS = {
+    rating: '(s.crew_rating + s.imposter_rating) / 2.0',
+    crewRating: 's.crew_rating',
+    imposterRating: 's.imposter_rating',
+    winRate: 'CAST(s.games_won AS REAL) / s.games_played',
+    gamesPlayed: 's.games_played'
+};
+
+app.get('/api/leaderboard', async (req, res) => {
+    const sort = req.query.sort || 'rating';
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const pageSize = Math.min(LEADERBOARD_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.pageSize) || 20));
+    const minGames = Math.max(1, parseInt(req.query.minGames) || 1);
+    
+    if (!LEADERBOARD_SORTS[sort]) {
+        return sendError(req, res, 400, 'error.invalidSort');
+    }
+    
+    try {
+        const { total } = await dbGet('SELECT COUNT(*) AS total FROM user_stats WHERE games_played >= ?', [minGames]);
+        const rows = await dbAll(`SELECT u.id, u.username, s.games_played, s.games_won, s.crew_rating, s.imposter_rating
+            FROM user_stats s JOIN users u ON u.id = s.user_id
+            WHERE s.games_played >= ?
+            ORDER BY ${LEADERBOARD_SORTS[sort]} DESC, s.games_played DESC, u.username ASC
+            LIMIT ? OFFSET ?`, [minGames, pageSize, (page - 1) * pageSize]);
+        
+        res.json({
+            page: page,
+            pageSize: pageSize,
+            total: total,
+            sort: sort,
+            entries: rows.map((row, index) => ({
+                rank: (page - 1) * pageSize + index + 1,
+                userId: row.id,
+                username: row.username,
+                gamesPlayed: row.games_played,
+                gamesWon: row.games_won,
+                winRate: Math.round((row.games_won / row.games_played) * 100),
+                rating: Math.round((row.crew_rating + row.imposter_rating) / 2),
+                crewRating: row.crew_rating,
+                imposterRating: row.imposter_rating
+            }))
+        });
+    } catch (error) {
+        logger.error('Database error', { error });
+        sendError(req, res, 500, 'error.serverError');
+    }
+});
+
+// Operations
+app.get('/api/health', async (req, res) => {
+    const uptime = Math.round(process.uptime());
+    
+    try {
+        await dbGet('SELECT 1');
+        res.json({ status: 'ok', database: 'ok', uptime: uptime });
+    } catch (error) {
+        logger.error('Health check failed', { error });
+        res.status(503).json({ status: 'error', database: 'unreachable', uptime: uptime });
+    }
+});
+
+// Prometheus text format
+app.get('/metrics', (req, res) => {
+    const lines = [];
+    // Each sample is [suffix, value]; the suffix holds labels or a summary part like _sum
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        samples.forEach(([suffix, value]) => lines.push(`${name}${suffix} ${value}`));
+    };
+    
+    const roomStates = Object.keys(PHASE_TRANSITIONS).map(state => [
+        `{state="${state}"}`,
+        [...rooms.values()].filter(room => room.gameState === state).length
+    ]);
+    const cutoff = Date.now() - CHAT_METRIC_WINDOW;
+    const recentChat = metrics.recentChat.filter(sentAt => sentAt > cutoff).length;
+    
+    metric('imposter_connected_sockets', 'gauge', 'Open socket connections', [['', io.sockets.sockets.size]]);
+    metric('imposter_rooms', 'gauge', 'Active rooms by game state', roomStates);
+    metric('imposter_games_started_total', 'counter', 'Games started', [['', metrics.gamesStarted]]);
+    metric('imposter_games_finished_total', 'counter', 'Games finished', [['', metrics.gamesFinished]]);
+    metric('imposter_round_duration_seconds', 'summary', 'Length of finished games', [
+        ['_sum', metrics.roundSeconds.toFixed(1)],
+        ['_count', metrics.gamesFinished]
+    ]);
+    metric('imposter_round_duration_average_seconds', 'gauge', 'Average length of finished games',
+        [['', metrics.gamesFinished > 0 ? (metrics.roundSeconds / metrics.gamesFinished).toFixed(1) : 0]]);
+    metric('imposter_chat_messages_total', 'counter', 'Chat messages sent by players, spectators and ghosts', [['', metrics.chatMessages]]);
+    metric('imposter_chat_messages_per_second', 'gauge', `Chat messages per second over the last ${CHAT_METRIC_WINDOW / 1000}s`,
+        [['', (recentChat / (CHAT_METRIC_WINDOW / 1000)).toFixed(3)]]);
+    metric('imposter_auth_failures_total', 'counter', 'Failed logins and rejected tokens',
+        Object.entries(metrics.authFailures).map(([type, count]) => [`{type="${type}"}`, count]));
+    
+    res.type('text/plain; version=0.0.4').send(lines.join('\n') + '\n');
+});
+
+// Read-only view of all rooms for the operations dashboard
+app.get('/api/admin/rooms', authenticateToken, requireServerAdmin, (req, res) => {
+    res.json({
+        uptime: Math.round(process.uptime()),
+        sockets: io.sockets.sockets.size,
+        rooms: [...rooms.values()].map(room => room.toDashboardJSON())
+    });
+});
+
+// Room Helpers
+function generateRoomId() {
+    let roomId;
+    do {
+        roomId = Array.from({ length: ROOM_ID_LENGTH }, () => ROOM_ID_ALPHABET[crypto.randomInt(ROOM_ID_ALPHABET.length)]).join('');
+    } while (rooms.has(roomId));
+    return roomId;
+}
+
+function getPublicRooms() {
+    return [...rooms.values()]
+        .filter(room => room.visibility === 'public')
+        .map(room => room.toLobbyJSON());
+}
+
+// Coalesces lobby broadcasts so busy rooms don't flood lobby subscribers
+let lobbyUpdateTimer = null;
+function scheduleLobbyUpdate() {
+    if (lobbyUpdateTimer) return;
+    
+    lobbyUpdateTimer = setTimeout(() => {
+        lobbyUpdateTimer = null;
+        if (io.sockets.adapter.rooms.has(LOBBY_CHANNEL)) {
+            io.to(LOBBY_CHANNEL).emit('lobbyUpdate', getPublicRooms());
+        }
+    }, 500);
+}
+
+function emitRoomUpdate(room) {
+    io.to(room.id).emit('roomUpdate', room.toJSON());
+    scheduleLobbyUpdate();
+    scheduleRoomSnapshot(room);
+}
+
+// Room snapshots are written in batches; state changes within the delay share one write
+const pendingSnapshots = new Set();
+let snapshotTimer = null;
+function scheduleRoomSnapshot(room) {
+    pendingSnapshots.add(room);
+    if (snapshotTimer) return;
+    
+    snapshotTimer = setTimeout(() => {
+        snapshotTimer = null;
+        flushRoomSnapshots().catch(error => logger.error('Room snapshot error', { error }));
+    }, ROOM_SNAPSHOT_DELAY);
+}
+
+async function flushRoomSnapshots() {
+    const pending = [...pendingSnapshots];
+    pendingSnapshots.clear();
+    
+    for (const room of pending) {
+        // Deleted rooms must not be written back
+        if (rooms.get(room.id) !== room) continue;
+        
+        await dbRun(`INSERT INTO room_snapshots (room_id, data, updated_at) VALUES (?, ?, ?)
+            ON CONFLICT(room_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+            [room.id, JSON.stringify(room.toSnapshot()), new Date().toISOString()]);
+    }
+}
+
+// Brings back the rooms of the previous process and resumes their phase timers
+async function restoreRooms() {
+    const rows = await dbAll('SELECT room_id, data FROM room_snapshots');
+    
+    for (const row of rows) {
+        let room;
+        try {
+            room = GameRoom.fromSnapshot(JSON.parse(row.data));
+        } catch (error) {
+            logger.warn('Room snapshot is unreadable', { roomId: row.room_id, error });
+            await dbRun('DELETE FROM room_snapshots WHERE room_id = ?', [row.room_id]);
+            continue;
+        }
+        
+        if (room.players.length === 0) {
+            await dbRun('DELETE FROM room_snapshots WHERE room_id = ?', [row.room_id]);
+            continue;
+        }
+        
+        rooms.set(room.id, room);
+        room.players.filter(p => !p.isBot).forEach(player => startDisconnectTimer(room, player));
+        
+        // The results screen is gone with the old connections
+        if (room.gameState === 'ended') {
+            room.resetGame();
+            scheduleRoomSnapshot(room);
+        }
+        startPhaseTimer(room);
+    }
+    
+    logger.info('Rooms restored', { count: rooms.size });
+}
+
+// Arms the deadline of the current phase and gives the bots their turn in it.
+// Paused rounds and the lobby have no deadline; clients still get the clock state.
+function startPhaseTimer(room) {
+    clearRoomTimer(room.id);
+    clearBotTimers(room.id);
+    
+    if (room.currentRound.deadline && !room.isPaused()) {
+        startCountdown(room, () => expirePhase(room));
+        scheduleBotTurns(room);
+    }
+    emitTimerSync(room);
+}
+
+// What a passed deadline means in each phase
+function expirePhase(room) {
+    switch (room.gameState) {
+        case 'clues':
+            recordClue(room, room.submitClue(room.getTurnPlayerId(), null));
+            break;
+        case 'playing':
+            if (room.getDrawerId()) advanceDrawTurn(room);
+            else beginVoting(room);
+            break;
+        case 'voting':
+            resolveVoting(room);
+            break;
+        case 'guessing': {
+            const guess = room.currentRound.guess;
+            finishGame(room, room.getPlayer(guess.playerId) || { id: guess.playerId, username: guess.username });
+            break;
+        }
+        case 'ended':
+            room.resetGame();
+            emitRoomUpdate(room);
+            break;
+    }
+}
+
+function emitTimerSync(room) {
+    io.to(room.id).emit('timerSync', room.getTimerState());
+}
+
+// Clients render the countdown themselves; the periodic sync corrects their drift
+setInterval(() => {
+    rooms.forEach(room => {
+        if (room.currentRound.deadline || room.isPaused()) emitTimerSync(room);
+    });
+}, TIMER_SYNC_INTERVAL).unref();
+
+function getPlayerSocket(player) {
+    return player.socketId ? io.sockets.sockets.get(player.socketId) : undefined;
+}
+
+function sendChatMessage(room, message) {
+    room.addChatMessage(message);
+    io.to(room.id).emit('chatMessage', message);
+}
+
+function spectatorChannel(roomId) {
+    return `${roomId}:spectators`;
+}
+
+// Spectator chat is readable by spectators only; they still see the player chat
+function sendSpectatorMessage(room, message) {
+    room.addChatMessage(message, room.spectatorChatLog);
+    io.to(spectatorChannel(room.id)).emit('chatMessage', message);
+}
+
+function ghostChannel(roomId) {
+    return `${roomId}:ghosts`;
+}
+
+// Eliminated players talk among themselves; the living never read the ghost chat
+function sendGhostMessage(room, message) {
+    room.addChatMessage(message, room.currentRound.ghostChat);
+    io.to(ghostChannel(room.id)).emit('chatMessage', message);
+}
+
+// Clients render the key in their own locale; message is the fallback in the room language
+function sendSystemMessage(room, key, params = {}) {
+    sendChatMessage(room, {
+        sender: 'System',
+        key: key,
+        params: params,
+        message: translate(room.settings.language, key, params),
+        timestamp: new Date().toLocaleTimeString(),
+        type: 'system'
+    });
+}
+
+function clearRoomTimer(roomId) {
+    if (roomTimers.has(roomId)) {
+        clearTimeout(roomTimers.get(roomId));
+        roomTimers.delete(roomId);
+    }
+}
+
+function deleteRoom(roomId) {
+    clearRoomTimer(roomId);
+    clearBotTimers(roomId);
+    rooms.delete(roomId);
+    scheduleLobbyUpdate();
+    
+    dbRun('DELETE FROM room_snapshots WHERE room_id = ?', [roomId])
+        .catch(error => logger.error('Room snapshot error', { error }));
+    
+    // Remaining spectators have nothing left to watch
+    io.to(roomId).emit('roomClosed');
+    io.in(roomId).socketsLeave([roomId, spectatorChannel(roomId), ghostChannel(roomId)]);
+}
+
+// Moderation actions are admin-only and never target the admin themselves
+function getModeratedRoom(socket, roomId, targetId) {
+    const room = rooms.get(roomId);
+    if (!room || room.adminId !== socket.userId) {
+        emitError(socket, 'error.forbidden');
+        return null;
+    }
+    
+    if (targetId === socket.userId) {
+        emitError(socket, 'error.selfModeration');
+        return null;
+    }
+    return room;
+}
+
+// Removes a player or spectator on the admin's behalf and tells their client why
+function expelUser(room, userId, reason) {
+    const member = room.getPlayer(userId) || room.getSpectator(userId);
+    const memberSocket = getPlayerSocket(member);
+    if (memberSocket) {
+        memberSocket.leave(room.id);
+        memberSocket.leave(spectatorChannel(room.id));
+        memberSocket.leave(ghostChannel(room.id));
+        memberSocket.roomId = null;
+        memberSocket.emit('kicked', { roomId: room.id, roomName: room.name, reason });
+    }
+    
+    clearDisconnectTimer(room.id, userId);
+    if (room.getSpectator(userId)) {
+        room.removeSpectator(userId);
+    } else {
+        room.removePlayer(userId);
+    }
+    
+    emitRoomUpdate(room);
+    continueWithoutPlayer(room, userId);
+}
+
+// Runs the checks of submitClue, skipVote and vote once a player is gone for good,
+// since the round may have been waiting on them alone. A paused round checks on resume.
+function continueWithoutPlayer(room, playerId) {
+    if (room.isPaused()) return;
+    
+    const round = room.currentRound;
+    round.skipVotes.delete(playerId);
+    
+    if (room.getTurnPlayerId() === playerId) {
+        recordClue(room, room.submitClue(playerId, null));
+    } else if (room.gameState === 'playing' && round.skipVotes.size > 0 && round.skipVotes.size >= room.getSkipVotesNeeded()) {
+        beginVoting(room);
+    } else if (room.gameState === 'voting' && room.allVotesIn()) {
+        resolveVoting(room);
+    }
+}
+
+// Returns true once the socket watches the room
+function joinAsSpectator(socket, room) {
+    const spectator = {
+        id: socket.userId,
+        username: socket.username,
+        socketId: socket.id,
+        isGuest: socket.isGuest,
+        badges: socket.badges
+    };
+    
+    if (!room.addSpectator(spectator)) {
+        emitError(socket, 'error.cannotSpectate');
+        return false;
+    }
+    
+    socket.join([room.id, spectatorChannel(room.id)]);
+    socket.roomId = room.id;
+    
+    socket.emit('roomJoined', {
+        roomId: room.id,
+        spectator: true,
+        chat: room.chatLog,
+        spectatorChat: room.spectatorChatLog,
+        canvas: room.getCanvasState()
+    });
+    emitRoomUpdate(room);
+    sendSystemMessage(room, 'system.spectating', { username: socket.username });
+    
+    logger.info('Spectator joined', { roomId: room.id, userId: socket.userId, username: socket.username });
+    return true;
+}
+
+function signInvite(room, invite) {
+    return jwt.sign({ roomId: room.id, invite: invite.id }, JWT_SECRET, { expiresIn: INVITE_TTL });
+}
+
+// Resolves an invite token to its invite id; { error } if it is forged, expired or for another room
+function readInvite(token, roomId) {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return { error: error.name === 'TokenExpiredError' ? 'error.inviteExpired' : 'error.inviteInvalid' };
+    }
+    
+    if (decoded.roomId !== roomId || !decoded.invite) return { error: 'error.inviteInvalid' };
+    return { inviteId: decoded.invite };
+}
+
+// Calls onExpire once currentRound.deadline has passed (right away if it already has)
+function startCountdown(room, onExpire) {
+    clearRoomTimer(room.id);
+    
+    const timer = setTimeout(() => {
+        roomTimers.delete(room.id);
+        onExpire();
+    }, Math.max(0, room.currentRound.deadline - Date.now()));
+    
+    roomTimers.set(room.id, timer);
+}
+
+function clearBotTimers(roomId) {
+    if (botTimers.has(roomId)) {
+        botTimers.get(roomId).forEach(timer => clearTimeout(timer));
+        botTimers.delete(roomId);
+    }
+}
+
+// Runs a bot action after a human-like pause, unless the room is gone by then
+function scheduleBotAction(room, delay, action) {
+    const timer = setTimeout(() => {
+        const timers = botTimers.get(room.id);
+        if (timers) timers.delete(timer);
+        if (rooms.get(room.id) === room) action();
+    }, delay);
+    
+    if (!botTimers.has(room.id)) botTimers.set(room.id, new Set());
+    botTimers.get(room.id).add(timer);
+}
+
+// Actions re-check the phase when they fire, since humans may have moved the game on
+function scheduleBotTurns(room) {
+    clearBotTimers(room.id);
+    const bots = room.getAlivePlayers().filter(p => p.isBot);
+    if (bots.length === 0) return;
+    
+    switch (room.gameState) {
+        case 'clues': {
+            const bot = room.getPlayer(room.getTurnPlayerId());
+            if (!bot || !bot.isBot) break;
+            
+            scheduleBotAction(room, randomDelay(BOT_DELAYS.action), () => {
+                if (room.getTurnPlayerId() !== bot.id) return;
+                recordClue(room, room.submitClue(bot.id, pickBotClue(room, bot)));
+            });
+            break;
+        }
+        case 'playing':
+            bots.forEach(bot => {
+                scheduleBotAction(room, randomDelay(BOT_DELAYS.chat), () => {
+                    if (room.gameState !== 'playing') return;
+                    sendChatMessage(room, {
+                        sender: bot.username,
+                        message: pickBotChatLine(room, bot),
+                        timestamp: new Date().toLocaleTimeString(),
+                        type: 'user'
+                    });
+                });
+            });
+            break;
+        case 'voting':
+            bots.forEach(bot => {
+                scheduleBotAction(room, randomDelay(BOT_DELAYS.action), () => {
+                    if (room.gameState !== 'voting' || room.currentRound.votes.has(bot.id)) return;
+                    if (!room.addVote(bot.id, pickBotVote(room, bot))) castVote(room);
+                });
+            });
+            break;
+        case 'guessing': {
+            const bot = room.getPlayer(room.currentRound.guess.playerId);
+            if (!bot || !bot.isBot) break;
+            
+            scheduleBotAction(room, randomDelay(BOT_DELAYS.action), () => {
+                const guess = guessWordFromClues(room, bot) || randomItem(BOT_FALLBACK_CLUES[room.settings.language]);
+                if (room.gameState === 'guessing' && room.submitGuess(bot.id, guess)) {
+                    finishGame(room, bot);
+                }
+            });
+            break;
+        }
+    }
+}
+
+function castSkipVote(room, playerId) {
+    if (room.addSkipVote(playerId)) {
+        beginVoting(room);
+        return;
+    }
+    
+    emitRoomUpdate(room);
+    
+    const player = room.getPlayer(playerId);
+    if (player && !player.isBot) scheduleBotSkipVotes(room);
+}
+
+// Bots never cut the discussion short on their own, they only back a human who wants to vote
+function scheduleBotSkipVotes(room) {
+    room.getAlivePlayers().filter(p => p.isBot).forEach(bot => {
+        scheduleBotAction(room, randomDelay(BOT_DELAYS.skip), () => {
+            if (room.gameState !== 'playing' || room.getDrawerId() || room.currentRound.skipVotes.has(bot.id)) return;
+            castSkipVote(room, bot.id);
+        });
+    });
+}
+
+// Follow-up once a vote was recorded: progress for everyone, resolve when complete
+function castVote(room) {
+    io.to(room.id).emit('voteProgress', room.getVoteProgress());
+    scheduleRoomSnapshot(room);
+    
+    if (room.allVotesIn()) {
+        resolveVoting(room);
+    }
+}
+
+function emitVotingPhase(room) {
+    io.to(room.id).emit('votingPhase', {
+        players: room.getVoteCandidates(),
+        runoff: !!room.currentRound.runoffCandidates,
+        allowSelfVote: room.settings.allowSelfVote,
+        timeLimit: room.getTimeRemaining()
+    });
+    io.to(room.id).emit('voteProgress', room.getVoteProgress());
+    emitRoomUpdate(room);
+    
+    startPhaseTimer(room);
+}
+
+function beginVoting(room) {
+    room.endRound();
+    emitVotingPhase(room);
+}
+
+function resolveVoting(room) {
+    clearRoomTimer(room.id);
+    const result = room.resolveVotes();
+    
+    if (result.runoff) {
+        const names = room.getVoteCandidates().map(p => p.username).join(', ');
+        sendSystemMessage(room, 'system.runoff', { names });
+        emitVotingPhase(room);
+        return;
+    }
+    
+    if (!result.votedOut) {
+        sendSystemMessage(room, 'system.nobodyVotedOut');
+    }
+    
+    if (result.votedOut && room.isImposter(result.votedOut.id) && room.settings.imposterGuess) {
+        beginGuess(room, result.votedOut);
+        return;
+    }
+    
+    if (result.votedOut && !room.isImposter(result.votedOut.id) && room.settings.elimination) {
+        eliminatePlayer(room, result.votedOut);
+        return;
+    }
+    
+    finishGame(room, result.votedOut);
+}
+
+// The ghost keeps watching but moves to the ghost chat; the imposters win once too few are left
+function eliminatePlayer(room, player) {
+    const voteCounts = room.getVoteCounts();
+    const cycle = room.currentRound.cycle;
+    
+    if (!room.eliminatePlayer(player)) {
+        finishGame(room, player);
+        return;
+    }
+    
+    const ghostSocket = getPlayerSocket(player);
+    if (ghostSocket) ghostSocket.join(ghostChannel(room.id));
+    
+    io.to(room.id).emit('playerEliminated', { playerId: player.id, username: player.username, cycle, voteCounts });
+    sendSystemMessage(room, 'system.eliminated', { username: player.username });
+    sendSystemMessage(room, 'system.nextCycle', { cycle: room.currentRound.cycle });
+    
+    if (room.gameState === 'clues') {
+        startClueTurn(room);
+        return;
+    }
+    
+    startPlayingPhase(room);
+}
+
+// The caught imposter gets one guess at the secret word before the round ends
+function beginGuess(room, imposter) {
+    room.startGuess(imposter);
+    
+    io.to(room.id).emit('guessPhase', {
+        playerId: imposter.id,
+        username: imposter.username,
+        timeLimit: room.getTimeRemaining()
+    });
+    emitRoomUpdate(room);
+    sendSystemMessage(room, 'system.imposterCaught', { username: imposter.username });
+    
+    startPhaseTimer(room);
+}
+
+// Results stay up for the 'ended' phase; its deadline returns the room to waiting
+function finishGame(room, votedOut) {
+    const results = room.endGame(votedOut);
+    const facts = room.getAchievementFacts(results);
+    metrics.gamesFinished++;
+    metrics.roundSeconds += (Date.now() - room.currentRound.startTime) / 1000;
+    io.in(room.id).socketsLeave(ghostChannel(room.id));
+    startPhaseTimer(room);
+    io.to(room.id).emit('gameEnded', results);
+    
+    // The streak and theme rules read the match history, so this game has to be saved first
+    room.saveMatch(results)
+        .then(matchId => io.to(room.id).emit('matchSaved', { matchId }))
+        .catch(error => logger.error('Match history error', { error }))
+        .then(() => awardAchievements(room, facts))
+        .catch(error => logger.error('Achievement error', { error }));
+    
+    room.updatePlayerStats(results.imposterWon, votedOut)
+        .then(changes => io.to(room.id).emit('ratingsUpdated', changes))
+        .catch(error => logger.error('Stats update error', { error }));
+}
+
+async function awardAchievements(room, facts) {
+    let unlockedAny = false;
+    
+    for (const player of facts.players) {
+        const unlocked = (await dbAll('SELECT achievement FROM user_achievements WHERE user_id = ?', [player.id]))
+            .map(row => row.achievement);
+        const history = await dbAll(`SELECT m.theme, m.difficulty, mp.role, mp.won FROM match_players mp
+            JOIN matches m ON m.id = mp.match_id
+            WHERE mp.user_id = ?
+            ORDER BY m.id DESC`, [player.id]);
+        
+        for (const achievement of ACHIEVEMENTS) {
+            if (unlocked.includes(achievement.id) || !achievement.check({ player, round: facts, history })) continue;
+            
+            const unlockedAt = new Date().toISOString();
+            await dbRun('INSERT OR IGNORE INTO user_achievements (user_id, achievement, unlocked_at) VALUES (?, ?, ?)',
+                [player.id, achievement.id, unlockedAt]);
+            grantBadge(player.id, achievement.id);
+            unlockedAny = true;
+            
+            io.to(room.id).emit('achievementUnlocked', {
+                playerId: player.id,
+                username: player.username,
+                achievement: achievement.id,
+                icon: achievement.icon,
+                unlockedAt: unlockedAt
+            });
+            logger.info('Achievement unlocked', { userId: player.id, achievement: achievement.id });
+        }
+    }
+    
+    if (unlockedAny && rooms.get(room.id) === room) emitRoomUpdate(room);
+}
+
+// Badges ride along on the seats and connections of the user, so player lists show them right away
+function grantBadge(userId, achievementId) {
+    for (const room of rooms.values()) {
+        [room.getPlayer(userId), room.getSpectator(userId)].filter(Boolean).forEach(member => {
+            member.badges = [...(member.badges || []), achievementId];
+        });
+    }
+    
+    for (const socket of io.sockets.sockets.values()) {
+        if (socket.userId === userId) socket.badges = [...(socket.badges || []), achievementId];
+    }
+}
+
+// Announces whose turn it is; offline or departed players are skipped right away
+function startClueTurn(room) {
+    const playerId = room.getTurnPlayerId();
+    const player = room.getPlayer(playerId);
+    
+    if (!player || !player.connected) {
+        recordClue(room, room.submitClue(playerId, null));
+        return;
+    }
+    
+    io.to(room.id).emit('clueTurn', {
+        playerId: player.id,
+        username: player.username,
+        timeLimit: room.getTimeRemaining()
+    });
+    emitRoomUpdate(room);
+    
+    startPhaseTimer(room);
+}
+
+function recordClue(room, entry) {
+    clearRoomTimer(room.id);
+    io.to(room.id).emit('clueSubmitted', entry);
+    
+    if (room.hasMoreClueTurns()) {
+        startClueTurn(room);
+        return;
+    }
+    
+    room.startDiscussion();
+    sendSystemMessage(room, 'system.cluesComplete');
+    startPlayingPhase(room);
+}
+
+// Drawing turns come first when the room plays with drawings, then the open discussion
+function startPlayingPhase(room) {
+    if (room.getDrawerId()) {
+        startDrawTurn(room);
+        return;
+    }
+    
+    emitRoomUpdate(room);
+    startPhaseTimer(room);
+}
+
+// Announces the drawer; bots, offline or departed players are skipped right away
+function startDrawTurn(room) {
+    const player = room.getPlayer(room.getDrawerId());
+    
+    if (!player || player.isBot || !player.connected) {
+        advanceDrawTurn(room);
+        return;
+    }
+    
+    io.to(room.id).emit('drawTurn', {
+        playerId: player.id,
+        username: player.username,
+        timeLimit: room.getTimeRemaining(),
+        inkBudget: DRAWING_INK_BUDGET
+    });
+    emitCanvasState(room);
+    emitRoomUpdate(room);
+    
+    startPhaseTimer(room);
+}
+
+function advanceDrawTurn(room) {
+    clearRoomTimer(room.id);
+    if (room.nextDrawTurn()) {
+        startDrawTurn(room);
+        return;
+    }
+    
+    emitCanvasState(room);
+    sendSystemMessage(room, 'system.drawingsComplete');
+    startPlayingPhase(room);
+}
+
+function emitCanvasState(room) {
+    io.to(room.id).emit('canvasState', room.getCanvasState());
+}
+
+// Validates a streamed stroke chunk and snaps it onto the logical canvas; null if malformed
+function normalizeStroke(stroke) {
+    if (!stroke || !Array.isArray(stroke.points)) return null;
+    if (!Number.isInteger(stroke.id) || stroke.id < 1) return null;
+    if (stroke.points.length === 0 || stroke.points.length > DRAWING_MAX_POINTS) return null;
+    if (!DRAWING_COLORS.includes(stroke.color)) return null;
+    if (!Number.isInteger(stroke.width) || stroke.width < 1 || stroke.width > DRAWING_MAX_WIDTH) return null;
+    
+    const points = [];
+    for (const point of stroke.points) {
+        if (!Array.isArray(point) || !Number.isFinite(point[0]) || !Number.isFinite(point[1])) return null;
+        points.push([
+            Math.min(Math.max(Math.round(point[0]), 0), DRAWING_CANVAS.width),
+            Math.min(Math.max(Math.round(point[1]), 0), DRAWING_CANVAS.height)
+        ]);
+    }
+    
+    // Ink is the length of the line; a single dot still costs one unit
+    let ink = 0;
+    for (let i = 1; i < points.length; i++) {
+        ink += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    }
+    
+    return { id: stroke.id, color: stroke.color, width: stroke.width, points, ink: Math.max(1, Math.round(ink)) };
+}
+
+// Appends a chunk to the line it continues, or starts a new stroke. A continuing chunk
+// repeats the previous end point so clients can draw it on its own; it is kept only once.
+function mergeStroke(strokes, chunk) {
+    const last = strokes[strokes.length - 1];
+    if (!last || last.id !== chunk.id) {
+        strokes.push({ ...chunk, points: [...chunk.points] });
+        return;
+    }
+    
+    const [first, ...rest] = chunk.points;
+    const end = last.points[last.points.length - 1];
+    const points = first[0] === end[0] && first[1] === end[1] ? rest : chunk.points;
+    last.points.push(...points);
+    last.ink += chunk.ink;
+}
+
+function clearDisconnectTimer(roomId, userId) {
+    const key = `${roomId}:${userId}`;
+    if (disconnectTimers.has(key)) {
+        clearTimeout(disconnectTimers.get(key));
+        disconnectTimers.delete(key);
+    }
+}
+
+// Keep the seat of a dropped player until the grace period runs out
+function startDisconnectTimer(room, player) {
+    clearDisconnectTimer(room.id, player.id);
+    
+    const timer = setTimeout(() => {
+        disconnectTimers.delete(`${room.id}:${player.id}`);
+        if (rooms.get(room.id) !== room || player.connected) return;
+        
+        if (room.removePlayer(player.id)) {
+            deleteRoom(room.id);
+            logger.info('Room deleted', { roomId: room.id, reason: 'disconnect' });
+        } else {
+            emitRoomUpdate(room);
+            sendSystemMessage(room, 'system.removedAfterDisconnect', { username: player.username, seconds: RECONNECT_GRACE_PERIOD });
+            continueWithoutPlayer(room, player.id);
+        }
+    }, RECONNECT_GRACE_PERIOD * 1000);
+    
+    disconnectTimers.set(`${room.id}:${player.id}`, timer);
+}
+
+// Re-attach a freshly authenticated socket to the room the user is still seated in
+function resumeSession(socket) {
+    const room = [...rooms.values()].find(r => r.getPlayer(socket.userId));
+    if (!room) return;
+    
+    const player = room.getPlayer(socket.userId);
+    const previousSocket = getPlayerSocket(player);
+    if (previousSocket && previousSocket.id !== socket.id) {
+        previousSocket.leave(room.id);
+        previousSocket.leave(ghostChannel(room.id));
+        previousSocket.roomId = null;
+    }
+    
+    clearDisconnectTimer(room.id, player.id);
+    const wasOffline = !player.connected;
+    room.setPlayerConnected(player.id, true, socket.id);
+    
+    const isGhost = room.isEliminated(player.id);
+    socket.join(isGhost ? [room.id, ghostChannel(room.id)] : room.id);
+    socket.roomId = room.id;
+    
+    socket.emit('roomRejoined', {
+        roomId: room.id,
+        room: room.toJSON(),
+        round: room.getRoundPayload(player.id),
+        chat: room.chatLog,
+        ghostChat: isGhost ? room.currentRound.ghostChat : [],
+        canvas: room.getCanvasState()
+    });
+    
+    emitRoomUpdate(room);
+    if (wasOffline) {
+        sendSystemMessage(room, 'system.reconnected', { username: player.username });
+    }
+    
+    logger.info('Session resumed', { roomId: room.id, userId: socket.userId, username: socket.username });
+}
+
+// Moves seats, round state and open sockets to another identity: a guest who registered,
+// or an account under a new name (fromId equals user.id then)
+function transferSessions(fromId, user) {
+    const rekeyed = fromId !== user.id;
+    
+    for (const room of rooms.values()) {
+        if (rekeyed) clearDisconnectTimer(room.id, fromId);
+        if (!room.replaceUser(fromId, user.id, user.username)) continue;
+        
+        const player = room.getPlayer(user.id);
+        if (rekeyed && player && !player.connected) {
+            startDisconnectTimer(room, player);
+        }
+        emitRoomUpdate(room);
+    }
+    
+    for (const socket of io.sockets.sockets.values()) {
+        if (socket.userId !== fromId) continue;
+        
+        socket.userId = user.id;
+        socket.username = user.username;
+        socket.isGuest = false;
+        users.set(socket.id, { id: user.id, username: user.username, socketId: socket.id });
+    }
+    
+    if (rekeyed && chatActivity.has(fromId)) {
+        chatActivity.set(user.id, chatActivity.get(fromId));
+        chatActivity.delete(fromId);
+    }
+}
+
+function getUserSockets(userId) {
+    return [...io.sockets.sockets.values()].filter(socket => socket.userId === userId);
+}
+
+// Revoked tokens would only fail at the next handshake, so open connections are dropped now.
+// Clients reconnect with the token they hold; seats wait out the reconnect grace period.
+function revokeUserSessions(userId) {
+    getUserSockets(userId).forEach(socket => socket.disconnect(true));
+    logger.info('Sessions revoked', { userId });
+}
+
+// Drops every live trace of a deleted account: seats, spectator slots and authenticated sockets
+function endUserSessions(userId) {
+    for (const room of [...rooms.values()]) {
+        clearDisconnectTimer(room.id, userId);
+        
+        if (room.getSpectator(userId)) {
+            room.removeSpectator(userId);
+            emitRoomUpdate(room);
+            continue;
+        }
+        
+        const player = room.getPlayer(userId);
+        if (!player) continue;
+        
+        if (room.removePlayer(userId)) {
+            deleteRoom(room.id);
+            continue;
+        }
+        
+        emitRoomUpdate(room);
+        sendSystemMessage(room, 'system.left', { username: player.username });
+        continueWithoutPlayer(room, userId);
+    }
+    
+    for (const socket of getUserSockets(userId)) {
+        if (socket.roomId) {
+            socket.leave(socket.roomId);
+            socket.leave(spectatorChannel(socket.roomId));
+            socket.leave(ghostChannel(socket.roomId));
+        }
+        socket.userId = null;
+        socket.username = null;
+        socket.roomId = null;
+        users.delete(socket.id);
+        socket.emit('authError', localize(socket.locale, 'error.accountDeleted'));
+    }
+    
+    chatActivity.delete(userId);
+    logger.info('Account deleted', { userId });
+}
+
+// Badges are loaded once per connection; grantBadge keeps them current
+async function attachUser(socket, user) {
+    const badges = user.guest ? [] : await dbAll('SELECT achievement FROM user_achievements WHERE user_id = ? ORDER BY unlocked_at', [user.id]);
+    
+    socket.userId = user.id;
+    socket.username = user.username;
+    socket.isGuest = user.guest;
+    socket.badges = badges.map(row => row.achievement);
+    
+    users.set(socket.id, {
+        id: user.id,
+        username: user.username,
+        socketId: socket.id
+    });
+}
+
+// Events that need an authenticated sender. The value names the room role required in the
+// room given by the payload (a plain roomId or { roomId }): 'player', 'member' (player or
+// spectator) or null when no room is involved. Unlisted events are open to anyone.
+const SOCKET_EVENT_ACCESS = {
+    createRoom: null,
+    joinRoom: null,
+    leaveRoom: 'member',
+    sendMessage: 'member',
+    promoteSpectator: 'member',
+    createInvite: 'player',
+    updateSettings: 'player',
+    addBot: 'player',
+    startGame: 'player',
+    submitClue: 'player',
+    skipVote: 'player',
+    vote: 'player',
+    guessWord: 'player',
+    drawStroke: 'player',
+    endDrawTurn: 'player',
+    undoStroke: 'player',
+    clearCanvas: 'player',
+    kickPlayer: 'player',
+    banPlayer: 'player',
+    unbanPlayer: 'player',
+    mutePlayer: 'player',
+    transferAdmin: 'player',
+    lockRoom: 'player',
+    pauseGame: 'player',
+    resumeGame: 'player'
+};
+
+// Round events are accepted in their phase only, and not while the round is paused
+const PHASE_EVENTS = {
+    submitClue: 'clues',
+    skipVote: 'playing',
+    vote: 'voting',
+    guessWord: 'guessing',
+    drawStroke: 'playing',
+    endDrawTurn: 'playing',
+    undoStroke: 'playing',
+    clearCanvas: 'playing',
+    updateSettings: 'waiting'
+};
+
+// Per-packet middleware; rejected events never reach their handler. The guard accepts both
+// `roomId` and `{ roomId }` payloads, so handlers still check that their own shape found a room.
+function guardSocketEvent(socket, [event, data], next) {
+    if (!(event in SOCKET_EVENT_ACCESS)) return next();
+    
+    if (!socket.userId) {
+        emitError(socket, 'error.notAuthenticated');
+        return;
+    }
+    
+    const role = SOCKET_EVENT_ACCESS[event];
+    if (!role) return next();
+    
+    const room = rooms.get(typeof data === 'string' ? data : data && data.roomId);
+    if (!room) {
+        emitError(socket, 'error.roomNotFound');
+        return;
+    }
+    
+    if (!room.getPlayer(socket.userId)) {
+        if (!room.getSpectator(socket.userId)) {
+            emitError(socket, 'error.notInRoom');
+            return;
+        }
+        if (role === 'player') {
+            emitError(socket, 'error.playersOnly');
+            return;
+        }
+    }
+    
+    const phase = PHASE_EVENTS[event];
+    if (phase && room.gameState !== phase) {
+        emitError(socket, 'error.wrongPhase');
+        return;
+    }
+    if (phase && room.isEliminated(socket.userId)) {
+        emitError(socket, 'error.eliminated');
+        return;
+    }
+    if (phase && room.isPaused()) {
+        emitError(socket, 'error.gamePaused');
+        return;
+    }
+    next();
+}
+
+// Handshake authentication: clients pass { token, locale } as socket.io auth. Connections
+// without a token are let in anonymously (login screen, lobby); a bad token is refused.
+io.use(async (socket, next) => {
+    const { token, locale } = socket.handshake.auth || {};
+    socket.locale = pickLocale(locale || socket.handshake.headers['accept-language']);
+    if (!token) return next();
+    
+    try {
+        const user = await verifyToken(token);
+        if (!user) {
+            metrics.authFailures.socket++;
+            const error = new Error('Invalid token');
+            error.data = localize(socket.locale, 'error.invalidToken');
+            return next(error);
         }
         
-        if (username.length < 3) {
-            return res.status(400).json({ error: 'Benutzername muss mindestens 3 Zeichen lang sein' });
+        await attachUser(socket, user);
+        next();
+    } catch (error) {
+        logger.error('Token check error', { error });
+        next(error);
+    }
+});
+
+// Socket.io Events
+io.on('connection', (socket) => {
+    logger.debug('Socket connected', { socketId: socket.id });
+    socket.use((packet, next) => guardSocketEvent(socket, packet, next));
+    
+    if (socket.userId) {
+        const user = { id: socket.userId, username: socket.username, guest: socket.isGuest };
+        socket.emit('authenticated', { ...user, serverAdmin: isServerAdmin(user) });
+        resumeSession(socket);
+    }
+    
+    socket.on('setLocale', (locale) => {
+        socket.locale = pickLocale(locale);
+    });
+    
+    // Switches the identity of an open connection, e.g. right after logging in.
+    // Accepts a plain token or { token, locale }.
+    socket.on('authenticate', async (data) => {
+        const { token, locale } = typeof data === 'string' ? { token: data } : (data || {});
+        if (locale) socket.locale = pickLocale(locale);
+        
+        try {
+            const user = await verifyToken(token);
+            if (!user) {
+                metrics.authFailures.socket++;
+                socket.emit('authError', localize(socket.locale, 'error.invalidToken'));
+                return;
+            }
+            
+            await attachUser(socket, user);
+            socket.emit('authenticated', { ...user, serverAdmin: isServerAdmin(user) });
+            resumeSession(socket);
+        } catch (error) {
+            logger.error('Token check error', { error });
+            emitError(socket, 'error.serverError');
         }
+    });
+    
+    socket.on('createRoom', async (data) => {
+        // Accepts a plain room name or { name, visibility, password, language }
+        const { name, visibility = 'public', password, language = socket.locale } = typeof data === 'string' ? { name: data } : (data || {});
+        const roomName = typeof name === 'string' ? name.trim() : '';
         
-        if (password.length < 6) {
-            return res.status(400).json({ error: 'Passwort muss mindestens 6 Zeichen lang sein' });
+        if (roomName.length === 0 || roomName.length > 40) {
+            emitError(socket, 'error.roomNameLength');
+            return;
         }
         
-        const hashedPassword = await bcrypt.hash(password, 10);
+        if (!ROOM_VISIBILITIES.includes(visibility)) {
+            emitError(socket, 'error.invalidVisibility');
+            return;
+        }
         
-        db.run('INSERT INTO users (username, password) VALUES (?, ?)', 
-            [username, hashedPassword], 
-            function(err) {
-                if (err) {
-                    console.error('Database error:', err);
-                    if (err.message.includes('UNIQUE constraint failed')) {
-                        return res.status(400).json({ error: 'Benutzername bereits vergeben' });
-                    }
-                    return res.status(500).json({ error: 'Serverfehler' });
-                }
-                
-                const token = jwt.sign({ id: this.lastID, username }, JWT_SECRET, { expiresIn: '7d' });
-                
-                // Create initial stats
-                db.run('INSERT INTO user_stats (user_id) VALUES (?)', [this.lastID], (err) => {
-                    if (err) console.error('Stats creation error:', err);
-                });
-                
-                res.json({
-                    token,
-                    user: { id: this.lastID, username }
+        if (password && (typeof password !== 'string' || password.length < 4 || password.length > 50)) {
+            emitError(socket, 'error.roomPasswordLength');
+            return;
+        }
+        
+        if (visibility === 'private' && !password) {
+            emitError(socket, 'error.privateRoomPassword');
+            return;
+        }
+        
+        if (!SUPPORTED_LOCALES.includes(language)) {
+            emitError(socket, 'error.invalidLanguage');
+            return;
+        }
+        
+        let passwordHash = null;
+        if (password) {
+            try {
+                passwordHash = await bcrypt.hash(password, 10);
+            } catch (error) {
+                logger.error('Bcrypt error', { error });
+                emitError(socket, 'error.serverError');
+                return;
+            }
+        }
+        
+        const roomId = generateRoomId();
+        const room = new GameRoom(roomId, roomName, socket.userId, language);
+        room.visibility = visibility;
+        room.passwordHash = passwordHash;
+        
+        const player = {
+            id: socket.userId,
+            username: socket.username,
+            socketId: socket.id,
+            isAdmin: true,
+            isGuest: socket.isGuest,
+            badges: socket.badges
+        };
+        
+        room.addPlayer(player);
+        rooms.set(roomId, room);
+        
+        socket.join(roomId);
+        socket.roomId = roomId;
+        
+        socket.emit('roomCreated', { roomId });
+        emitRoomUpdate(room);
+        
+        logger.info('Room created', { roomId, userId: socket.userId, username: socket.username });
+    });
+    
+    socket.on('joinRoom', async (data) => {
+        // Accepts a plain room ID or { roomId, spectate, password, invite }
+        const { roomId, spectate, password, invite } = typeof data === 'string' ? { roomId: data } : (data || {});
+        
+        let inviteId = null;
+        if (invite) {
+            const result = readInvite(invite, roomId);
+            if (result.error) {
+                emitError(socket, result.error);
+                return;
+            }
+            inviteId = result.inviteId;
+        }
+        
+        const room = rooms.get(roomId);
+        if (!room) {
+            emitError(socket, 'error.roomNotFound');
+            return;
+        }
+        
+        if (room.isBanned(socket.userId)) {
+            emitError(socket, 'error.banned');
+            return;
+        }
+        
+        if (room.locked) {
+            emitError(socket, 'error.roomLocked');
+            return;
+        }
+        
+        const inviteError = inviteId && room.checkInvite(inviteId);
+        if (inviteError) {
+            emitError(socket, inviteError);
+            return;
+        }
+        
+        // An invite stands in for the room password
+        if (room.passwordHash && !inviteId) {
+            const validPassword = typeof password === 'string' && await bcrypt.compare(password, room.passwordHash);
+            if (!validPassword) {
+                socket.emit('passwordRequired', {
+                    roomId,
+                    name: room.name,
+                    error: localize(socket.locale, password ? 'error.wrongRoomPassword' : 'error.roomPasswordRequired')
                 });
+                return;
             }
-        );
-    } catch (error) {
-        console.error('Register error:', error);
-        res.status(500).json({ error: 'Serverfehler' });
-    }
-});
-
-app.post('/api/login', async (req, res) => {
-    try {
-        const { username, password } = req.body;
+            
+            // The room may have changed while the hash was being compared
+            if (rooms.get(roomId) !== room) {
+                emitError(socket, 'error.roomNotFound');
+                return;
+            }
+        }
+        
+        if (spectate) {
+            if (joinAsSpectator(socket, room) && inviteId) room.redeemInvite(inviteId);
+            return;
+        }
+        
+        if (room.gameState !== 'waiting') {
+            emitError(socket, 'error.gameRunning');
+            return;
+        }
+        
+        if (room.players.length >= room.settings.maxPlayers) {
+            emitError(socket, 'error.roomFull');
+            return;
+        }
+        
+        const player = {
+            id: socket.userId,
+            username: socket.username,
+            socketId: socket.id,
+            isAdmin: false,
+            isGuest: socket.isGuest,
+            badges: socket.badges
+        };
+        
+        if (!room.addPlayer(player)) {
+            emitError(socket, 'error.cannotJoin');
+            return;
+        }
+        if (inviteId) room.redeemInvite(inviteId);
+        
+        socket.join(roomId);
+        socket.roomId = roomId;
+        
+        socket.emit('roomJoined', { roomId });
+        emitRoomUpdate(room);
+        
+        // Send welcome message
+        sendSystemMessage(room, 'system.joined', { username: socket.username });
+        
+        logger.info('Player joined', { roomId, userId: socket.userId, username: socket.username });
+    });
+    
+    // Invites stand in for the room password, so only the admin hands them out
+    socket.on('createInvite', (roomId) => {
+        const room = rooms.get(roomId);
+        if (!room || room.adminId !== socket.userId) {
+            emitError(socket, 'error.forbidden');
+            return;
+        }
+        
+        const invite = room.addInvite(socket.userId);
+        
+        socket.emit('inviteCreated', {
+            roomId: room.id,
+            token: signInvite(room, invite),
+            expiresAt: invite.expiresAt,
+            maxUses: invite.maxUses
+        });
+        scheduleRoomSnapshot(room);
+    });
+    
+    socket.on('leaveRoom', (roomId) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
+        
+        socket.leave(roomId);
+        socket.leave(spectatorChannel(roomId));
+        socket.leave(ghostChannel(roomId));
+        
+        if (room.getSpectator(socket.userId)) {
+            socket.roomId = null;
+            room.removeSpectator(socket.userId);
+            emitRoomUpdate(room);
+            return;
+        }
+        
+        clearDisconnectTimer(roomId, socket.userId);
+        
+        if (room.removePlayer(socket.userId)) {
+            // Room is empty, delete it
+            deleteRoom(roomId);
+            logger.info('Room deleted', { roomId, reason: 'empty' });
+        } else {
+            emitRoomUpdate(room);
+            sendSystemMessage(room, 'system.left', { username: socket.username });
+            continueWithoutPlayer(room, socket.userId);
+        }
+        
+        socket.roomId = null;
+        logger.info('Player left', { roomId, userId: socket.userId, username: socket.username });
+    });
+    
+    socket.on('updateSettings', async ({ roomId, settings }) => {
+        const room = rooms.get(roomId);
+        if (!room || room.adminId !== socket.userId) {
+            emitError(socket, 'error.forbidden');
+            return;
+        }
+        
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            emitError(socket, 'error.invalidSettings');
+            return;
+        }
+        
+        if (settings.theme !== undefined && (typeof settings.theme !== 'string' || !settings.theme)) {
+            emitError(socket, 'error.libraryNotFound');
+            return;
+        }
+        
+        if (settings.difficulty !== undefined && !DIFFICULTIES.includes(settings.difficulty)) {
+            emitError(socket, 'error.invalidDifficulty');
+            return;
+        }
+        
+        if (settings.imposterCount !== undefined && settings.imposterCount !== 'auto' &&
+            !(Number.isInteger(settings.imposterCount) && settings.imposterCount >= 1)) {
+            emitError(socket, 'error.invalidImposterCount');
+            return;
+        }
+        
+        // Never below the players already seated
+        if (settings.maxPlayers !== undefined && !(Number.isInteger(settings.maxPlayers) &&
+            settings.maxPlayers >= Math.max(3, room.players.length) && settings.maxPlayers <= 12)) {
+            emitError(socket, 'error.invalidMaxPlayers');
+            return;
+        }
+        
+        if (settings.roundTime !== undefined && !(Number.isInteger(settings.roundTime) && settings.roundTime >= 60 && settings.roundTime <= 900)) {
+            emitError(socket, 'error.invalidRoundTime');
+            return;
+        }
+        
+        if (settings.voteTime !== undefined && !(Number.isInteger(settings.voteTime) && settings.voteTime >= 15 && settings.voteTime <= 300)) {
+            emitError(socket, 'error.invalidVoteTime');
+            return;
+        }
+        
+        if (settings.guessTime !== undefined && !(Number.isInteger(settings.guessTime) && settings.guessTime >= 10 && settings.guessTime <= 120)) {
+            emitError(socket, 'error.invalidGuessTime');
+            return;
+        }
+        
+        if (settings.tieRule !== undefined && !['runoff', 'none'].includes(settings.tieRule)) {
+            emitError(socket, 'error.invalidTieRule');
+            return;
+        }
+        
+        if (settings.drawTime !== undefined && !(Number.isInteger(settings.drawTime) && settings.drawTime >= 10 && settings.drawTime <= 120)) {
+            emitError(socket, 'error.invalidDrawTime');
+            return;
+        }
+        
+        if (settings.clueTime !== undefined && !(Number.isInteger(settings.clueTime) && settings.clueTime >= 10 && settings.clueTime <= 120)) {
+            emitError(socket, 'error.invalidClueTime');
+            return;
+        }
+        
+        if (settings.language !== undefined && !SUPPORTED_LOCALES.includes(settings.language)) {
+            emitError(socket, 'error.invalidLanguage');
+            return;
+        }
+        
+        // The theme has to exist for the language it ends up with, even when only the language changed
+        const merged = { ...room.settings, ...settings };
+        let customLibrary = null;
+        if (merged.theme.startsWith(CUSTOM_THEME_PREFIX)) {
+            try {
+                customLibrary = await loadCustomLibrary(parseInt(merged.theme.slice(CUSTOM_THEME_PREFIX.length)));
+            } catch (error) {
+                logger.error('Library load error', { error });
+                emitError(socket, 'error.serverError');
+                return;
+            }
+            // The round may have started while the library was loading
+            if (room.gameState !== 'waiting') {
+                emitError(socket, 'error.wrongPhase');
+                return;
+            }
+            if (!customLibrary) {
+                emitError(socket, 'error.libraryNotFound');
+                return;
+            }
+            // Libraries are private, so admins can only play their own
+            if (customLibrary.ownerId !== socket.userId) {
+                emitError(socket, 'error.forbidden');
+                return;
+            }
+            // Custom libraries hold no decoy pairs, so undercover rounds could never be dealt
+            if (merged.undercover && !(customLibrary.decoyPairs || []).length) {
+                emitError(socket, 'error.noDecoys');
+                return;
+            }
+        } else if (!Object.hasOwn(wordLibraries[merged.language], merged.theme)) {
+            emitError(socket, 'error.libraryNotFound');
+            return;
+        }
+        
+        room.customLibrary = customLibrary;
+        room.settings = merged;
+        emitRoomUpdate(room);
+    });
+    
+    socket.on('addBot', (roomId) => {
+        const room = rooms.get(roomId);
+        if (!room || room.adminId !== socket.userId) {
+            emitError(socket, 'error.forbidden');
+            return;
+        }
+        
+        if (room.gameState !== 'waiting') {
+            emitError(socket, 'error.botsBetweenRounds');
+            return;
+        }
         
-        if (!username || !password) {
-            return res.status(400).json({ error: 'Username und Passwort sind erforderlich' });
+        const bot = room.addBot();
+        if (!bot) {
+            emitError(socket, 'error.roomFull');
+            return;
         }
         
-        db.get('SELECT * FROM users WHERE username = ?', [username], async (err, user) => {
-            if (err) {
-                console.error('Database error:', err);
-                return res.status(500).json({ error: 'Serverfehler' });
-            }
-            
-            if (!user) {
-                return res.status(400).json({ error: 'Ungültige Anmeldedaten' });
-            }
-            
-            try {
-                const validPassword = await bcrypt.compare(password, user.password);
-                if (!validPassword) {
-                    return res.status(400).json({ error: 'Ungültige Anmeldedaten' });
-                }
-                
-                const token = jwt.sign({ id: user.id, username: user.username }, JWT_SECRET, { expiresIn: '7d' });
-                
-                res.json({
-                    token,
-                    user: { id: user.id, username: user.username }
-                });
-            } catch (bcryptError) {
-                console.error('Bcrypt error:', bcryptError);
-                return res.status(500).json({ error: 'Serverfehler' });
-            }
-        });
-    } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'Serverfehler' });
-    }
-});
-
-app.get('/api/libraries', (req, res) => {
-    res.json(wordLibraries);
-});
-
-app.get('/api/stats/:userId', (req, res) => {
-    const userId = parseInt(req.params.userId);
-    
-    if (isNaN(userId)) {
-        return res.status(400).json({ error: 'Ungültige Benutzer-ID' });
-    }
+        emitRoomUpdate(room);
+        sendSystemMessage(room, 'system.joined', { username: bot.username });
+    });
     
-    db.get('SELECT * FROM user_stats WHERE user_id = ?', [userId], (err, stats) => {
-        if (err) {
-            console.error('Database error:', err);
-            return res.status(500).json({ error: 'Serverfehler' });
+    socket.on('startGame', (roomId) => {
+        const room = rooms.get(roomId);
+        if (!room || room.adminId !== socket.userId) {
+            emitError(socket, 'error.forbidden');
+            return;
         }
         
-        if (!stats) {
-            stats = { games_played: 0, games_won: 0, times_imposter: 0, times_caught_imposter: 0 };
+        if (room.settings.undercover && room.getLibrary() && room.getPlayableWords().length === 0) {
+            emitError(socket, 'error.noDecoys');
+            return;
         }
         
-        const winRate = stats.games_played > 0 ? Math.round((stats.games_won / stats.games_played) * 100) : 0;
-        const imposterSuccessRate = stats.times_imposter > 0 ? 
-            Math.round(((stats.times_imposter - stats.times_caught_imposter) / stats.times_imposter) * 100) : 0;
+        if (!room.startGame()) {
+            emitError(socket, 'error.cannotStart');
+            return;
+        }
         
-        res.json({
-            stats: {
-                gamesPlayed: stats.games_played,
-                gamesWon: stats.games_won,
-                winRate: winRate,
-                timesImposter: stats.times_imposter,
-                timesCaughtImposter: stats.times_caught_imposter,
-                imposterSuccessRate: imposterSuccessRate
+        // Send game start data to each player (offline players get it on resume)
+        room.players.forEach(player => {
+            const playerSocket = getPlayerSocket(player);
+            
+            if (playerSocket) {
+                playerSocket.emit('gameStarted', room.getRoundPayload(player.id));
             }
         });
-    });
-});
-
-// Socket.io Events
-io.on('connection', (socket) => {
-    console.log('User connected:', socket.id);
-    
-    socket.on('authenticate', (token) => {
-        try {
-            const decoded = jwt.verify(token, JWT_SECRET);
-            socket.userId = decoded.id;
-            socket.username = decoded.username;
-            
-            users.set(socket.id, {
-                id: decoded.id,
-                username: decoded.username,
-                socketId: socket.id
-            });
-            
-            socket.emit('authenticated', { id: decoded.id, username: decoded.username });
-        } catch (error) {
-            console.error('JWT verification error:', error);
-            socket.emit('authError', 'Token ungültig');
+        
+        emitRoomUpdate(room);
+        
+        if (room.gameState === 'clues') {
+            startClueTurn(room);
+        } else {
+            startPlayingPhase(room);
         }
+        
+        metrics.gamesStarted++;
+        logger.info('Game started', { roomId, players: room.players.length });
+        logger.debug('Imposters dealt', { roomId, imposters: room.currentRound.imposters.map(p => p.username) });
     });
     
-    socket.on('createRoom', (roomName) => {
-        if (!socket.userId) {
-            socket.emit('error', 'Nicht authentifiziert');
+    socket.on('submitClue', ({ roomId, clue }) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
+        
+        if (room.getTurnPlayerId() !== socket.userId) {
+            emitError(socket, 'error.notYourTurn');
             return;
         }
         
-        const roomId = Math.random().toString(36).substring(2, 8).toUpperCase();
-        const room = new GameRoom(roomId, roomName, socket.userId);
+        const word = typeof clue === 'string' ? clue.trim() : '';
+        if (word.length === 0 || word.length > 30 || /\s/.test(word)) {
+            emitError(socket, 'error.invalidClue');
+            return;
+        }
         
-        const player = {
-            id: socket.userId,
-            username: socket.username,
-            socketId: socket.id,
-            isAdmin: true
-        };
+        const dealtWord = room.getDealtWord(socket.userId);
+        if (dealtWord && containsWord(word, dealtWord)) {
+            emitError(socket, 'error.clueRevealsWord');
+            return;
+        }
         
-        room.addPlayer(player);
-        rooms.set(roomId, room);
+        recordClue(room, room.submitClue(socket.userId, word));
+    });
+    
+    socket.on('skipVote', (roomId) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
         
-        socket.join(roomId);
-        socket.roomId = roomId;
+        castSkipVote(room, socket.userId);
+    });
+    
+    // Strokes arrive in small chunks while the drawer is still moving the pointer
+    socket.on('drawStroke', ({ roomId, stroke }) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
         
-        socket.emit('roomCreated', { roomId });
-        socket.emit('roomUpdate', room.toJSON());
+        const normalized = normalizeStroke(stroke);
+        if (!normalized) {
+            emitError(socket, 'error.invalidStroke');
+            return;
+        }
+        
+        const error = room.addStroke(socket.userId, normalized);
+        if (error) {
+            emitError(socket, error);
+            return;
+        }
         
-        console.log(`Room ${roomId} created by ${socket.username}`);
+        socket.to(room.id).emit('strokeDrawn', { playerId: socket.userId, stroke: normalized, inkUsed: room.getInkUsed() });
+        scheduleRoomSnapshot(room);
     });
     
-    socket.on('joinRoom', (roomId) => {
-        if (!socket.userId) {
-            socket.emit('error', 'Nicht authentifiziert');
+    socket.on('endDrawTurn', (roomId) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
+        
+        if (room.getDrawerId() !== socket.userId) {
+            emitError(socket, 'error.notYourDrawTurn');
             return;
         }
         
+        advanceDrawTurn(room);
+    });
+    
+    socket.on('undoStroke', (roomId) => {
         const room = rooms.get(roomId);
-        if (!room) {
-            socket.emit('error', 'Raum nicht gefunden');
+        if (!room || room.adminId !== socket.userId) {
+            emitError(socket, 'error.forbidden');
             return;
         }
         
-        if (room.gameState !== 'waiting') {
-            socket.emit('error', 'Spiel läuft bereits');
+        if (!room.undoStroke()) {
+            emitError(socket, 'error.nothingToUndo');
             return;
         }
         
-        const player = {
-            id: socket.userId,
-            username: socket.username,
-            socketId: socket.id,
-            isAdmin: false
-        };
-        
-        if (!room.addPlayer(player)) {
-            socket.emit('error', 'Raum ist voll oder du bist bereits im Raum');
+        emitCanvasState(room);
+        scheduleRoomSnapshot(room);
+    });
+    
+    socket.on('clearCanvas', (roomId) => {
+        const room = rooms.get(roomId);
+        if (!room || room.adminId !== socket.userId) {
+            emitError(socket, 'error.forbidden');
             return;
         }
         
-        socket.join(roomId);
-        socket.roomId = roomId;
+        if (!room.clearDrawing()) {
+            emitError(socket, 'error.noDrawing');
+            return;
+        }
         
-        socket.emit('roomJoined', { roomId });
-        io.to(roomId).emit('roomUpdate', room.toJSON());
+        emitCanvasState(room);
+        scheduleRoomSnapshot(room);
+        sendSystemMessage(room, 'system.canvasCleared', { username: socket.username });
+    });
+    
+    socket.on('vote', ({ roomId, playerId }) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
         
-        // Send welcome message
-        io.to(roomId).emit('chatMessage', {
-            sender: 'System',
-            message: `${socket.username} ist dem Raum beigetreten`,
-            timestamp: new Date().toLocaleTimeString(),
-            type: 'system'
-        });
+        // playerId null means abstain
+        const error = room.addVote(socket.userId, playerId === undefined ? null : playerId);
+        if (error) {
+            emitError(socket, error);
+            return;
+        }
         
-        console.log(`${socket.username} joined room ${roomId}`);
+        castVote(room);
     });
     
-    socket.on('leaveRoom', (roomId) => {
+    socket.on('guessWord', ({ roomId, guess }) => {
         const room = rooms.get(roomId);
         if (!room) return;
         
-        socket.leave(roomId);
-        
-        // Clear any existing timer
-        if (roomTimers.has(roomId)) {
-            clearInterval(roomTimers.get(roomId));
-            roomTimers.delete(roomId);
+        const word = typeof guess === 'string' ? guess.trim() : '';
+        if (word.length === 0 || word.length > 50) {
+            emitError(socket, 'error.invalidGuess');
+            return;
         }
         
-        if (room.removePlayer(socket.userId)) {
-            // Room is empty, delete it
-            rooms.delete(roomId);
-            console.log(`Room ${roomId} deleted (empty)`);
-        } else {
-            io.to(roomId).emit('roomUpdate', room.toJSON());
-            io.to(roomId).emit('chatMessage', {
-                sender: 'System',
-                message: `${socket.username} hat den Raum verlassen`,
-                timestamp: new Date().toLocaleTimeString(),
-                type: 'system'
-            });
+        if (!room.submitGuess(socket.userId, word)) {
+            emitError(socket, 'error.notGuesser');
+            return;
         }
         
-        socket.roomId = null;
-        console.log(`${socket.username} left room ${roomId}`);
+        const imposter = room.getPlayer(socket.userId) || { id: socket.userId, username: socket.username };
+        finishGame(room, imposter);
     });
     
-    socket.on('updateSettings', ({ roomId, settings }) => {
+    // Pausing freezes the deadline and the bots; every round action waits until resume
+    socket.on('pauseGame', (roomId) => {
         const room = rooms.get(roomId);
         if (!room || room.adminId !== socket.userId) {
-            socket.emit('error', 'Keine Berechtigung');
+            emitError(socket, 'error.forbidden');
+            return;
+        }
+        
+        const error = room.pause();
+        if (error) {
+            emitError(socket, error);
             return;
         }
         
-        room.settings = { ...room.settings, ...settings };
-        io.to(roomId).emit('roomUpdate', room.toJSON());
+        startPhaseTimer(room);
+        emitRoomUpdate(room);
+        sendSystemMessage(room, 'system.paused', { username: socket.username });
     });
     
-    socket.on('startGame', (roomId) => {
+    socket.on('resumeGame', (roomId) => {
         const room = rooms.get(roomId);
         if (!room || room.adminId !== socket.userId) {
-            socket.emit('error', 'Keine Berechtigung');
+            emitError(socket, 'error.forbidden');
             return;
         }
         
-        if (!room.startGame()) {
-            socket.emit('error', 'Spiel kann nicht gestartet werden (mindestens 3 Spieler benötigt)');
+        const error = room.resume();
+        if (error) {
+            emitError(socket, error);
             return;
         }
         
-        // Send game start data to each player
-        room.players.forEach(player => {
-            const playerSocket = [...io.sockets.sockets.values()]
-                .find(s => s.userId === player.id);
-            
-            if (playerSocket) {
-                playerSocket.emit('gameStarted', {
-                    word: player.id === room.currentRound.imposter.id ? null : room.currentRound.word,
-                    isImposter: player.id === room.currentRound.imposter.id,
-                    timeLimit: room.settings.roundTime
-                });
-            }
-        });
+        startPhaseTimer(room);
+        emitRoomUpdate(room);
+        sendSystemMessage(room, 'system.resumed', { username: socket.username });
+        
+        // Players who left during the pause may have been the last votes outstanding
+        if (room.gameState === 'voting' && room.allVotesIn()) {
+            resolveVoting(room);
+        }
+    });
+    
+    socket.on('subscribeLobby', () => {
+        socket.join(LOBBY_CHANNEL);
+        socket.emit('lobbyUpdate', getPublicRooms());
+    });
+    
+    socket.on('unsubscribeLobby', () => {
+        socket.leave(LOBBY_CHANNEL);
+    });
+    
+    socket.on('sendMessage', ({ roomId, message }) => {
+        const room = rooms.get(roomId);
+        if (!room) return;
         
-        io.to(roomId).emit('roomUpdate', room.toJSON());
+        const isSpectator = !!room.getSpectator(socket.userId);
+        const isGhost = !isSpectator && room.isEliminated(socket.userId);
         
-        // Start round timer
-        const timer = setInterval(() => {
-            room.currentRound.timeRemaining--;
+        if (typeof message === 'string' && message.trim().length > 0 && message.trim().length <= 500) {
+            const rejection = checkChatMessage(room, socket.userId, message.trim());
+            if (rejection) {
+                socket.emit('messageRejected', { reason: rejection.reason, ...localize(socket.locale, rejection.key, rejection.params) });
+                
+                if (rejection.reason !== 'muted' && recordChatOffense(socket.userId)) {
+                    room.muteUser(socket.userId, CHAT_AUTO_MUTE_DURATION);
+                    emitRoomUpdate(room);
+                    sendSystemMessage(room, 'system.autoMuted', { username: socket.username, minutes: CHAT_AUTO_MUTE_DURATION / 60 });
+                }
+                return;
+            }
             
-            if (room.currentRound.timeRemaining <= 0) {
-                clearInterval(timer);
-                roomTimers.delete(roomId);
-                room.endRound();
-                io.to(roomId).emit('votingPhase', { 
-                    players: room.players
-                });
-                io.to(roomId).emit('roomUpdate', room.toJSON());
+            const chatMessage = {
+                sender: socket.username,
+                message: message.trim(),
+                timestamp: new Date().toLocaleTimeString(),
+                type: isSpectator ? 'spectator' : isGhost ? 'ghost' : 'user'
+            };
+            
+            countChatMessage();
+            if (isSpectator) {
+                sendSpectatorMessage(room, chatMessage);
+            } else if (isGhost) {
+                sendGhostMessage(room, chatMessage);
+            } else {
+                sendChatMessage(room, chatMessage);
             }
-        }, 1000);
-        
-        roomTimers.set(roomId, timer);
-        console.log(`Game started in room ${roomId}, imposter: ${room.currentRound.imposter.username}`);
+        }
     });
     
-    socket.on('skipVote', (roomId) => {
+    // Admins can seat any spectator, spectators can seat themselves (userId omitted)
+    socket.on('promoteSpectator', ({ roomId, userId }) => {
         const room = rooms.get(roomId);
-        if (!room || room.gameState !== 'playing') return;
+        if (!room) return;
         
-        if (room.addSkipVote(socket.userId)) {
-            // Clear the game timer
-            if (roomTimers.has(roomId)) {
-                clearInterval(roomTimers.get(roomId));
-                roomTimers.delete(roomId);
-            }
-            
-            io.to(roomId).emit('votingPhase', { 
-                players: room.players
-            });
+        const targetId = userId === undefined ? socket.userId : userId;
+        if (targetId !== socket.userId && room.adminId !== socket.userId) {
+            emitError(socket, 'error.forbidden');
+            return;
+        }
+        
+        if (room.locked && room.adminId !== socket.userId) {
+            emitError(socket, 'error.roomLocked');
+            return;
+        }
+        
+        const spectator = room.getSpectator(targetId);
+        const error = room.promoteSpectator(targetId);
+        if (error) {
+            emitError(socket, error);
+            return;
+        }
+        
+        const spectatorSocket = getPlayerSocket(spectator);
+        if (spectatorSocket) {
+            spectatorSocket.leave(spectatorChannel(roomId));
         }
         
-        io.to(roomId).emit('roomUpdate', room.toJSON());
+        emitRoomUpdate(room);
+        sendSystemMessage(room, 'system.promoted', { username: spectator.username });
     });
     
-    socket.on('vote', ({ roomId, playerId }) => {
-        const room = rooms.get(roomId);
-        if (!room || room.gameState !== 'voting') return;
+    socket.on('kickPlayer', ({ roomId, playerId }) => {
+        const room = getModeratedRoom(socket, roomId, playerId);
+        if (!room) return;
+        
+        const member = room.getPlayer(playerId) || room.getSpectator(playerId);
+        if (!member) {
+            emitError(socket, 'error.playerNotFound');
+            return;
+        }
         
-        const results = room.addVote(socket.userId, playerId);
+        expelUser(room, playerId, 'kick');
+        sendSystemMessage(room, 'system.kicked', { username: member.username, admin: socket.username });
+    });
+    
+    socket.on('banPlayer', ({ roomId, playerId }) => {
+        const room = getModeratedRoom(socket, roomId, playerId);
+        if (!room) return;
         
-        if (results) {
-            io.to(roomId).emit('gameEnded', results);
-            
-            setTimeout(() => {
-                room.resetGame();
-                io.to(roomId).emit('roomUpdate', room.toJSON());
-            }, 10000);
+        const member = room.getPlayer(playerId) || room.getSpectator(playerId);
+        if (!member) {
+            emitError(socket, 'error.playerNotFound');
+            return;
         }
+        
+        room.banUser(playerId, member.username);
+        expelUser(room, playerId, 'ban');
+        sendSystemMessage(room, 'system.banned', { username: member.username, admin: socket.username });
     });
     
-    socket.on('sendMessage', ({ roomId, message }) => {
-        const room = rooms.get(roomId);
-        if (!room || !socket.username) return;
+    socket.on('unbanPlayer', ({ roomId, playerId }) => {
+        const room = getModeratedRoom(socket, roomId, playerId);
+        if (!room) return;
         
-        if (message.trim().length > 0 && message.trim().length <= 500) {
-            io.to(roomId).emit('chatMessage', {
-                sender: socket.username,
-                message: message.trim(),
-                timestamp: new Date().toLocaleTimeString(),
-                type: 'user'
-            });
+        const username = room.bannedUsers.get(playerId);
+        if (!username) {
+            emitError(socket, 'error.notBanned');
+            return;
+        }
+        
+        room.bannedUsers.delete(playerId);
+        emitRoomUpdate(room);
+        sendSystemMessage(room, 'system.unbanned', { username });
+    });
+    
+    socket.on('mutePlayer', ({ roomId, playerId, duration }) => {
+        const room = getModeratedRoom(socket, roomId, playerId);
+        if (!room) return;
+        
+        const member = room.getPlayer(playerId) || room.getSpectator(playerId);
+        if (!member) {
+            emitError(socket, 'error.playerNotFound');
+            return;
+        }
+        
+        if (!(Number.isInteger(duration) && duration >= 0 && duration <= MAX_MUTE_DURATION)) {
+            emitError(socket, 'error.invalidDuration');
+            return;
+        }
+        
+        room.muteUser(playerId, duration);
+        emitRoomUpdate(room);
+        if (duration > 0) {
+            sendSystemMessage(room, 'system.muted', { username: member.username, minutes: Math.ceil(duration / 60) });
+        } else {
+            sendSystemMessage(room, 'system.unmuted', { username: member.username });
+        }
+    });
+    
+    socket.on('transferAdmin', ({ roomId, playerId }) => {
+        const room = getModeratedRoom(socket, roomId, playerId);
+        if (!room) return;
+        
+        if (!room.transferAdmin(playerId)) {
+            emitError(socket, 'error.invalidAdmin');
+            return;
         }
+        
+        emitRoomUpdate(room);
+        sendSystemMessage(room, 'system.adminTransferred', { username: room.getPlayer(playerId).username });
+    });
+    
+    socket.on('lockRoom', ({ roomId, locked }) => {
+        const room = getModeratedRoom(socket, roomId);
+        if (!room) return;
+        
+        room.locked = !!locked;
+        emitRoomUpdate(room);
+        sendSystemMessage(room, room.locked ? 'system.roomLocked' : 'system.roomUnlocked');
     });
     
     socket.on('disconnect', () => {
-        console.log('User disconnected:', socket.id);
+        logger.debug('Socket disconnected', { socketId: socket.id });
         
         users.delete(socket.id);
         
         if (socket.roomId) {
             const room = rooms.get(socket.roomId);
-            if (room) {
-                // Clear any existing timer
-                if (roomTimers.has(socket.roomId)) {
-                    clearInterval(roomTimers.get(socket.roomId));
-                    roomTimers.delete(socket.roomId);
-                }
+            const player = room && room.getPlayer(socket.userId);
+            
+            // Spectators hold no seat, so they leave right away
+            const spectator = room && room.getSpectator(socket.userId);
+            if (spectator && spectator.socketId === socket.id) {
+                room.removeSpectator(spectator.id);
+                emitRoomUpdate(room);
+                return;
+            }
+            
+            // Ignore sockets that were already replaced by a newer connection
+            if (player && player.socketId === socket.id) {
+                room.setPlayerConnected(player.id, false);
+                startDisconnectTimer(room, player);
                 
-                if (room.removePlayer(socket.userId)) {
-                    rooms.delete(socket.roomId);
-                    console.log(`Room ${socket.roomId} deleted (empty after disconnect)`);
-                } else {
-                    io.to(socket.roomId).emit('roomUpdate', room.toJSON());
-                    if (socket.username) {
-                        io.to(socket.roomId).emit('chatMessage', {
-                            sender: 'System',
-                            message: `${socket.username} hat die Verbindung verloren`,
-                            timestamp: new Date().toLocaleTimeString(),
-                            type: 'system'
-                        });
-                    }
-                }
+                emitRoomUpdate(room);
+                sendSystemMessage(room, 'system.disconnected', { username: socket.username });
             }
         }
     });
 });
 
-// Error handling
-process.on('uncaughtException', (err) => {
-    console.error('Uncaught Exception:', err);
-});
-
-process.on('unhandledRejection', (err) => {
-    console.error('Unhandled Rejection:', err);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('SIGTERM received, shutting down gracefully');
-    server.close(() => {
-        db.close();
-        process.exit(0);
+// Started directly; the tests only require the module for its helpers
+if (require.main === module) {
+    // Error handling
+    process.on('uncaughtException', (err) => {
+        logger.error('Uncaught Exception', { error: err });
     });
-});
+    
+    process.on('unhandledRejection', (err) => {
+        logger.error('Unhandled Rejection', { error: err });
+    });
+    
+    // Graceful shutdown; rooms are snapshotted once more so the next process can pick them up
+    process.on('SIGTERM', () => {
+        logger.info('SIGTERM received, shutting down gracefully');
+        clearTimeout(snapshotTimer);
+        rooms.forEach(room => pendingSnapshots.add(room));
+        
+        flushRoomSnapshots()
+            .catch(error => logger.error('Room snapshot error', { error }))
+            .finally(() => {
+                io.close();
+                server.close(() => {
+                    db.close();
+                    process.exit(0);
+                });
+            });
+    });
+    
+    // Start server once the rooms of the previous run are back
+    restoreRooms()
+        .catch(error => logger.error('Room restore error', { error }))
+        .finally(() => {
+            server.listen(PORT, '0.0.0.0', () => {
+                logger.info('Server listening', { port: PORT, url: `http://localhost:${PORT}` });
+            });
+        });
+}
 
-// Start server
-server.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server läuft auf Port ${PORT}`);
-    console.log(`Öffne http://localhost:${PORT} zum Spielen`);
-});
+module.exports = {
+    normalizeWord,
+    wordsMatch,
+    containsWord,
+    validateLibrary,
+    expectedScore,
+    updatedRating,
+    PHASE_TRANSITIONS,
+    GameRoom
+};
@@ -0,0 +1,214 @@
+// Unit tests for the pure game helpers; run with `npm test`
+process.env.DB_PATH = ':memory:';
+process.env.LOG_LEVEL = 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    wordsMatch,
+    containsWord,
+    validateLibrary,
+    expectedScore,
+    updatedRating,
+    PHASE_TRANSITIONS,
+    GameRoom
+} = require('../server');
+
+// A room with seated players, already in its voting phase
+function votingRoom(playerCount, settings = {}) {
+    const room = new GameRoom('TEST01', 'Test', 1);
+    for (let id = 1; id <= playerCount; id++) {
+        room.addPlayer({ id, username: `player${id}` });
+    }
+    Object.assign(room.settings, settings);
+    room.gameState = 'voting';
+    return room;
+}
+
+function library(overrides = {}) {
+    const words = (prefix) => Array.from({ length: 5 }, (_, i) => `${prefix}wort${i + 1}`);
+    return {
+        name: 'Tiere',
+        description: '',
+        words: { easy: words('leicht'), medium: words('mittel'), hard: words('schwer') },
+        ...overrides
+    };
+}
+
+describe('wordsMatch', () => {
+    it('ignores case, umlaut spelling and separators', () => {
+        assert.ok(wordsMatch('giraffe', 'Giraffe'));
+        assert.ok(wordsMatch('Baer', 'Bär'));
+        assert.ok(wordsMatch('aye aye', 'Aye-Aye'));
+    });
+    
+    it('allows one typo in longer words', () => {
+        assert.ok(wordsMatch('Girafe', 'Giraffe'));
+        assert.ok(!wordsMatch('Grafe', 'Giraffe'));
+    });
+    
+    it('never allows a typo in the first letter', () => {
+        assert.ok(!wordsMatch('regeln', 'Segeln'));
+    });
+    
+    it('takes short words only as spelled', () => {
+        assert.ok(wordsMatch('Hund', 'Hund'));
+        assert.ok(!wordsMatch('Hand', 'Hund'));
+    });
+    
+    it('rejects empty input', () => {
+        assert.ok(!wordsMatch('', 'Hund'));
+        assert.ok(!wordsMatch('!!!', 'Hund'));
+    });
+});
+
+describe('containsWord', () => {
+    it('finds inflected forms', () => {
+        assert.ok(containsWord('Ich mag Giraffen', 'Giraffe'));
+        assert.ok(containsWord('Äpfel sind lecker', 'Apfel'));
+        assert.ok(containsWord('Das sind Kühe', 'Kuh'));
+        assert.ok(containsWord('Eier zum Frühstück', 'Ei'));
+    });
+    
+    it('keeps short words out of unrelated words', () => {
+        assert.ok(!containsWord('ein Ding', 'Ei'));
+        assert.ok(!containsWord('Eis essen', 'Ei'));
+    });
+    
+    it('does not flag words that differ in the first letter', () => {
+        assert.ok(!containsWord('wir regeln das', 'Segeln'));
+    });
+    
+    it('joins spaced-out letters and words made of several parts', () => {
+        assert.ok(containsWord('es ist ein H u n d', 'Hund'));
+        assert.ok(containsWord('ein aye aye vielleicht', 'Aye-Aye'));
+    });
+});
+
+describe('validateLibrary', () => {
+    it('returns the trimmed library', () => {
+        const result = validateLibrary(library({ name: '  Tiere  ', words: { ...library().words, easy: [' Hund ', 'Katze', 'Maus', 'Pferd', 'Kuh'] } }));
+        assert.equal(result.error, undefined);
+        assert.equal(result.library.name, 'Tiere');
+        assert.equal(result.library.words.easy[0], 'Hund');
+    });
+    
+    it('needs a name of the allowed length', () => {
+        assert.equal(validateLibrary(library({ name: '' })).error, 'library.nameLength');
+    });
+    
+    it('needs enough words per difficulty', () => {
+        const words = { ...library().words, hard: ['eins', 'zwei'] };
+        const result = validateLibrary(library({ words }));
+        assert.equal(result.error, 'library.tooFewWords');
+        assert.equal(result.params.difficulty, 'hard');
+    });
+    
+    it('rejects a word listed twice, in any case', () => {
+        const words = { ...library().words, medium: ['Hund', 'hund', 'Katze', 'Maus', 'Pferd'] };
+        assert.equal(validateLibrary(library({ words })).error, 'library.duplicateWord');
+    });
+    
+    it('rejects a missing word list', () => {
+        assert.equal(validateLibrary(library({ words: null })).error, 'library.wordsRequired');
+    });
+});
+
+describe('Elo ratings', () => {
+    it('expects an even game between equal ratings', () => {
+        assert.equal(expectedScore(1000, 1000), 0.5);
+    });
+    
+    it('favours the higher rating', () => {
+        assert.ok(expectedScore(1200, 1000) > 0.5);
+        assert.ok(Math.abs(expectedScore(1200, 1000) + expectedScore(1000, 1200) - 1) < 1e-9);
+    });
+    
+    it('moves half the K-factor between equal ratings', () => {
+        assert.equal(updatedRating(1000, 1000, true), 1016);
+        assert.equal(updatedRating(1000, 1000, false), 984);
+    });
+    
+    it('gains little for beating a weaker side', () => {
+        assert.ok(updatedRating(1400, 1000, true) - 1400 < 5);
+    });
+});
+
+describe('PHASE_TRANSITIONS', () => {
+    it('only leads to known phases', () => {
+        const phases = Object.keys(PHASE_TRANSITIONS);
+        Object.values(PHASE_TRANSITIONS).flat().forEach(phase => assert.ok(phases.includes(phase), phase));
+    });
+    
+    it('leads from the guess to the results and back to the lobby', () => {
+        assert.ok(PHASE_TRANSITIONS.guessing.includes('ended'));
+        assert.ok(PHASE_TRANSITIONS.ended.includes('waiting'));
+    });
+    
+    it('is enforced by the room', () => {
+        const room = new GameRoom('TEST01', 'Test', 1);
+        assert.throws(() => room.transition('voting'), /Invalid phase transition waiting -> voting/);
+        room.transition('playing', 60);
+        assert.equal(room.gameState, 'playing');
+    });
+});
+
+describe('GameRoom.resolveVotes', () => {
+    it('votes out the player with the most votes', () => {
+        const room = votingRoom(3);
+        room.addVote(1, 2);
+        room.addVote(2, 3);
+        room.addVote(3, 2);
+        assert.equal(room.resolveVotes().votedOut.id, 2);
+    });
+    
+    it('votes out nobody when everyone abstains', () => {
+        const room = votingRoom(3);
+        [1, 2, 3].forEach(id => room.addVote(id, null));
+        assert.deepEqual(room.resolveVotes(), { votedOut: null });
+    });
+    
+    it('starts a runoff between the tied players', () => {
+        const room = votingRoom(4);
+        room.addVote(1, 2);
+        room.addVote(2, 1);
+        room.addVote(3, 1);
+        room.addVote(4, 2);
+        assert.deepEqual(room.resolveVotes(), { runoff: [2, 1] });
+        assert.equal(room.currentRound.votes.size, 0);
+        assert.deepEqual(room.getVoteCandidates().map(p => p.id), [1, 2]);
+    });
+    
+    it('gives up after a tied runoff', () => {
+        const room = votingRoom(4);
+        room.currentRound.runoffCandidates = [1, 2];
+        room.addVote(1, 2);
+        room.addVote(2, 1);
+        room.addVote(3, 1);
+        room.addVote(4, 2);
+        assert.deepEqual(room.resolveVotes(), { votedOut: null });
+    });
+    
+    it('has no runoff when the tie rule says so', () => {
+        const room = votingRoom(4, { tieRule: 'none' });
+        room.addVote(1, 2);
+        room.addVote(2, 1);
+        assert.deepEqual(room.resolveVotes(), { votedOut: null });
+    });
+    
+    it('keeps every ballot for the match history', () => {
+        const room = votingRoom(4);
+        room.addVote(1, 2);
+        room.addVote(2, 1);
+        room.resolveVotes();
+        room.addVote(1, 2);
+        room.addVote(3, 2);
+        room.resolveVotes();
+        
+        const ballots = room.currentRound.ballots;
+        assert.equal(ballots.length, 2);
+        assert.deepEqual(ballots.map(ballot => ballot.runoff), [false, true]);
+        assert.deepEqual(ballots[1].votes, [{ voterId: 1, targetId: 2 }, { voterId: 3, targetId: 2 }]);
+    });
+});